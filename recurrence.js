@@ -0,0 +1,173 @@
+// recurrence.js — cron-style schedule math and quiet hours in a named timezone
+// Pure functions, no deps: Intl does the zone conversion, DST included.
+//   parseCron('0 19 * * mon-fri')            minute hour day-of-month month day-of-week
+//   nextRun(rule, afterMs, random)           next { at, windowStart, windowEnd } for { cron, timezone, windowMinutes }
+//   inQuietHours(ms, { start, end }, tz)     'HH:MM' wall-clock window, may wrap midnight
+//   quietHoursEnd(ms, { start, end }, tz)    first instant after ms when the window closes
+
+const DOW = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+const MON = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+const HHMM = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+const formatters = new Map();
+function formatter(tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+    }));
+  }
+  return formatters.get(tz);
+}
+
+function validTimezone(tz) {
+  try { formatter(tz); return true; } catch { return false; }
+}
+
+// wall-clock parts of an instant in tz
+function zonedParts(ms, tz) {
+  const p = {};
+  for (const { type, value } of formatter(tz).formatToParts(new Date(ms))) p[type] = value;
+  return { year: +p.year, month: +p.month, day: +p.day, hour: +p.hour % 24, minute: +p.minute, dow: DOW[p.weekday.toLowerCase()] };
+}
+
+// instant of a wall-clock time in tz; a time skipped by DST lands just after the gap,
+// a repeated one (fall back) takes the earlier instant
+function zonedTime(year, month, day, hour, minute, tz) {
+  const wanted = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = ms => { const p = zonedParts(ms, tz); return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - ms; };
+  const a = wanted - offset(wanted);
+  const b = wanted - offset(a);
+  if (a === b) return a;
+  const fits = t => t + offset(t) === wanted;
+  if (fits(a) && fits(b)) return Math.min(a, b);
+  if (fits(a)) return a;
+  if (fits(b)) return b;
+  return Math.max(a, b);
+}
+
+function parseField(expr, min, max, names) {
+  const out = new Set();
+  const val = s => {
+    const v = names && names[s.toLowerCase()] != null ? names[s.toLowerCase()] : Number(s);
+    if (!Number.isInteger(v)) throw new Error(`bad cron value "${s}"`);
+    return v;
+  };
+  for (const part of expr.split(',')) {
+    const [range, stepStr] = part.split('/');
+    const step = stepStr ? Number(stepStr) : 1;
+    if (!Number.isInteger(step) || step < 1) throw new Error(`bad cron step "${part}"`);
+    let lo, hi;
+    if (range === '*') { lo = min; hi = max; }
+    else if (range.includes('-')) { [lo, hi] = range.split('-').map(val); }
+    else { lo = val(range); hi = stepStr ? max : lo; }
+    if (lo < min || hi > max || lo > hi) throw new Error(`cron value out of range "${part}"`);
+    for (let v = lo; v <= hi; v += step) out.add(v);
+  }
+  return out;
+}
+
+function parseCron(expr) {
+  const f = String(expr || '').trim().split(/\s+/);
+  if (f.length !== 5) throw new Error('cron needs 5 fields: minute hour day-of-month month day-of-week');
+  const dow = parseField(f[4], 0, 7, DOW);
+  if (dow.has(7)) { dow.delete(7); dow.add(0); }   // 7 is Sunday too
+  return {
+    minutes: [...parseField(f[0], 0, 59)].sort((a, b) => a - b),
+    hours: [...parseField(f[1], 0, 23)].sort((a, b) => a - b),
+    dom: parseField(f[2], 1, 31),
+    months: parseField(f[3], 1, 12, MON),
+    dow,
+    domAny: f[2] === '*',
+    dowAny: f[4] === '*'
+  };
+}
+
+// classic cron: when both day fields are restricted, either may match
+function dayMatches(c, day, dow) {
+  if (c.domAny && c.dowAny) return true;
+  if (c.domAny) return c.dow.has(dow);
+  if (c.dowAny) return c.dom.has(day);
+  return c.dom.has(day) || c.dow.has(dow);
+}
+
+function nextCronTime(cron, afterMs, tz) {
+  const c = typeof cron === 'string' ? parseCron(cron) : cron;
+  const start = zonedParts(afterMs, tz);
+  for (let i = 0; i < 400; i++) {
+    const d = new Date(Date.UTC(start.year, start.month - 1, start.day + i));
+    const [y, m, day, dow] = [d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), d.getUTCDay()];
+    if (!c.months.has(m) || !dayMatches(c, day, dow)) continue;
+    for (const h of c.hours) {
+      for (const mi of c.minutes) {
+        const t = zonedTime(y, m, day, h, mi, tz);
+        if (t > afterMs) return t;
+      }
+    }
+  }
+  return null;
+}
+
+// Accepts { cron, timezone, windowMinutes } or the friendlier
+// { days: ['mon','tue',…], between: ['19:00','22:00'], timezone } and returns the cron form.
+// days are the days the window opens on.
+function normalizeRecurrence(r) {
+  if (!r || typeof r !== 'object') throw new Error('recurrence required');
+  const timezone = r.timezone || 'UTC';
+  if (!validTimezone(timezone)) throw new Error(`unknown timezone "${timezone}"`);
+  let cron = r.cron, windowMinutes = Number(r.windowMinutes) || 0;
+  if (!cron && r.between) {
+    const [from, to] = r.between;
+    if (!HHMM.test(from) || !HHMM.test(to)) throw new Error('between needs ["HH:MM","HH:MM"]');
+    const [fh, fm] = from.split(':').map(Number), [th, tm] = to.split(':').map(Number);
+    // a window that ends at or before it starts runs past midnight: ["22:00","02:00"] is 4 hours
+    const span = (th * 60 + tm) - (fh * 60 + fm);
+    windowMinutes = span > 0 ? span : span + 24 * 60;
+    const days = Array.isArray(r.days) && r.days.length ? r.days.join(',') : '*';
+    cron = `${fm} ${fh} * * ${days}`;
+  }
+  parseCron(cron);   // throws on a bad rule
+  return { cron, timezone, windowMinutes };
+}
+
+// Next due time: a cron match plus a random offset inside its window, or null.
+// A window still open at afterMs counts; pass the end of the last fired window
+// as afterMs to get one run per window.
+function nextRun(rule, afterMs, random = Math.random) {
+  const windowMs = (rule.windowMinutes || 0) * 60000;
+  let base = nextCronTime(rule.cron, afterMs - windowMs, rule.timezone);
+  while (base != null) {
+    const lo = Math.max(base, afterMs + 1);
+    const hi = base + windowMs;
+    if (lo <= hi) return { at: Math.round(lo + random() * (hi - lo)), windowStart: base, windowEnd: hi };
+    base = nextCronTime(rule.cron, base, rule.timezone);
+  }
+  return null;
+}
+
+function validQuietHours(q) { return !!q && HHMM.test(q.start) && HHMM.test(q.end); }
+function minutesOf(hhmm) { const [h, m] = hhmm.split(':').map(Number); return h * 60 + m; }
+
+function inQuietHours(ms, quiet, tz = 'UTC') {
+  if (!validQuietHours(quiet)) return false;
+  const p = zonedParts(ms, tz);
+  const now = p.hour * 60 + p.minute, s = minutesOf(quiet.start), e = minutesOf(quiet.end);
+  if (s === e) return false;
+  return s < e ? (now >= s && now < e) : (now >= s || now < e);
+}
+
+function quietHoursEnd(ms, quiet, tz = 'UTC') {
+  const p = zonedParts(ms, tz);
+  const [h, m] = quiet.end.split(':').map(Number);
+  for (let i = 0; i < 2; i++) {
+    const d = new Date(Date.UTC(p.year, p.month - 1, p.day + i));
+    const t = zonedTime(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), h, m, tz);
+    if (t > ms) return t;
+  }
+  return ms;
+}
+
+module.exports = {
+  parseCron, nextCronTime, nextRun, normalizeRecurrence,
+  inQuietHours, quietHoursEnd, validQuietHours, validTimezone, zonedParts, zonedTime
+};
@@ -0,0 +1,281 @@
+// scorer.js — exposure scorers for mirrored and group rounds
+// A scorer turns an answer into { score, language, breakdown }; the highest score
+// "leaned nearest the abyss". breakdown maps each signal to the points it added,
+// so a verdict can be explained (and argued with) after the fact.
+//   classic  — the original English heuristic, kept point-for-point
+//   lexicon  — per-language word lists with negation ("not ashamed" scores nothing)
+// Lexicon entries match whole words; a trailing * matches any word starting with it.
+// `node scorer.js eval [circle,classic,lexicon]` rescores stored mirrored and group rounds side by side.
+
+const fs = require('fs');
+
+const BUILTIN_LEXICONS = {
+  en: {
+    firstPerson: ['i', "i'm", 'im', "i've", "i'd", "i'll", 'me', 'my', 'mine', 'myself'],
+    vulnerability: ['ashamed', 'shame*', 'sorry', 'regret*', 'fear*', 'afraid', 'scared', 'alone', 'lonely',
+      'embarrass*', 'hid', 'hide', 'hiding', 'hidden', 'secret*', 'guilt*', 'lie', 'lied', 'lying',
+      'cried', 'cry', 'crying', 'jealous*', 'envy', 'envious', 'fail*', 'weak', 'hurt*', 'abandon*', 'insecure', 'anxi*'],
+    negations: ['not', 'no', 'never', "don't", 'dont', "didn't", 'didnt', "isn't", "wasn't", "aren't",
+      "can't", 'cant', 'cannot', "won't", 'nothing', 'nobody', 'neither', 'nor', 'without'],
+    markers: ['the', 'and', 'is', 'was', 'to', 'of', 'it', 'that', 'what', 'you']
+  },
+  es: {
+    firstPerson: ['yo', 'me', 'mi', 'mis', 'mío', 'mía', 'míos', 'mías', 'conmigo'],
+    vulnerability: ['vergüenza', 'avergonz*', 'perdón', 'siento', 'arrepent*', 'arrepient*', 'miedo', 'sola', 'soledad',
+      'secreto*', 'culpa*', 'mentí', 'mentira*', 'lloré', 'llorar', 'celos*', 'envidia', 'fracas*', 'débil', 'herid*', 'ansi*'],
+    negations: ['no', 'nunca', 'jamás', 'nada', 'nadie', 'ni', 'tampoco', 'sin'],
+    markers: ['el', 'la', 'que', 'de', 'y', 'en', 'es', 'los', 'las', 'un']
+  },
+  fr: {
+    elision: true,
+    firstPerson: ['je', "j'", 'moi', 'me', "m'", 'mon', 'ma', 'mes'],
+    vulnerability: ['honte', 'désolé', 'désolée', 'regrett*', 'peur', 'seule', 'solitude', 'gêné*', 'caché*', 'cacher',
+      'secret*', 'coupable', 'culpabil*', 'menti', 'mensonge*', 'pleur*', 'jalou*', 'échoué', 'échec', 'faible', 'blessé*', 'abandonn*', 'angoiss*'],
+    negations: ['ne', "n'", 'pas', 'jamais', 'rien', 'personne', 'aucun', 'aucune', 'sans', 'ni'],
+    markers: ['le', 'la', 'les', 'et', 'est', 'un', 'une', 'des', 'que', "c'"]
+  },
+  de: {
+    firstPerson: ['ich', 'mich', 'mir', 'mein', 'meine', 'meinen', 'meinem', 'meiner', 'meines'],
+    vulnerability: ['scham', 'schäme*', 'peinlich', 'entschuldig*', 'bereu*', 'angst', 'ängst*', 'allein', 'einsam*',
+      'geheim*', 'versteck*', 'schuld*', 'gelogen', 'lüge*', 'geweint', 'eifersucht', 'eifersüchtig', 'neid*',
+      'versagt', 'versag*', 'schwach', 'verletzt', 'verlassen'],
+    negations: ['nicht', 'nie', 'niemals', 'kein', 'keine', 'keinen', 'nichts', 'niemand', 'ohne', 'weder'],
+    markers: ['der', 'die', 'das', 'und', 'ist', 'war', 'zu', 'es', 'ein', 'auch']
+  }
+};
+
+// ---------- classic ----------
+// The pre-lexicon heuristic: length, first-person words, eight English words, `!` penalty.
+const CLASSIC_VULN = ['ashamed', 'sorry', 'regret', 'fear', 'alone', 'embarrass', 'hid', 'secret'];
+
+function scoreClassic(text) {
+  if (!text) return { score: 0, language: 'en', breakdown: {} };
+  const t = text.toLowerCase();
+  const breakdown = {
+    length: Math.min(1.0, t.length / 200) * 30,
+    firstPerson: (t.match(/\b(i|i'm|i am|me|my|mine)\b/g) || []).length * 8,
+    vulnerability: CLASSIC_VULN.filter(w => t.includes(w)).length * 12,
+    exclamations: -(t.match(/!/g) || []).length * 6
+  };
+  const sum = Object.values(breakdown).reduce((a, b) => a + b, 0);
+  return { score: Math.max(0, Math.round(sum)), language: 'en', breakdown: round(breakdown) };
+}
+
+// ---------- lexicon ----------
+const NEGATION_REACH = 3;   // a negation covers this many following words in its clause
+const FIRST_PERSON_CAP = 5; // "i i i i i i" stops paying after five
+
+function compile(lex) {
+  const exact = new Set(), prefixes = [];
+  for (const w of lex.vulnerability || []) {
+    if (w.endsWith('*')) prefixes.push(w.slice(0, -1)); else exact.add(w);
+  }
+  return {
+    ...lex,
+    firstPerson: new Set(lex.firstPerson || []),
+    negations: new Set(lex.negations || []),
+    markers: new Set(lex.markers || []),
+    vulnerable: word => exact.has(word) ? word : prefixes.find(p => word.startsWith(p)) || null
+  };
+}
+
+// clauses of words; "j'ai" splits into "j'" + "ai" for languages with elision
+function clausesOf(text, lex) {
+  return text.toLowerCase().normalize('NFC').replace(/[’`]/g, "'")
+    .split(/[.,;:!?¡¿()\n]+/)
+    .map(c => (c.match(/[\p{L}\p{N}]+(?:'[\p{L}\p{N}]+)*'?/gu) || []).flatMap(w => {
+      const m = lex.elision && w.match(/^(\p{L}{1,2}')(.+)$/u);
+      return m ? [m[1], m[2]] : [w];
+    }))
+    .filter(c => c.length);
+}
+
+// most marker/pronoun/negation hits wins. Short answers tie often ("no" is
+// English and Spanish), so a tie goes to the language with more marker or
+// vulnerable words ("no tengo miedo"), then to prefer (the circle's locale),
+// then to fallback; nothing at all is prefer, else fallback.
+function detectLanguage(text, lexicons, fallback = 'en', prefer = null) {
+  let best = null, bestRank = null;
+  for (const [lang, lex] of Object.entries(lexicons)) {
+    const words = clausesOf(text, lex).flat();
+    const rank = [
+      words.filter(w => lex.markers.has(w) || lex.firstPerson.has(w) || lex.negations.has(w)).length,
+      words.filter(w => lex.markers.has(w) || lex.vulnerable(w)).length,
+      lang === prefer ? 1 : 0,
+      lang === fallback ? 1 : 0
+    ];
+    const i = bestRank ? rank.findIndex((x, k) => x !== bestRank[k]) : 0;
+    if (i >= 0 && (!bestRank || rank[i] > bestRank[i])) { best = lang; bestRank = rank; }
+  }
+  if (bestRank && (bestRank[0] || bestRank[1])) return best;
+  return lexicons[prefer] ? prefer : fallback;
+}
+
+function scoreLexicon(text, { lexicons, language = 'auto', prefer = null }) {
+  if (!text) return { score: 0, language: null, breakdown: {} };
+  const lang = language === 'auto' || !lexicons[language] ? detectLanguage(text, lexicons, 'en', prefer) : language;
+  const lex = lexicons[lang];
+  const clauses = clausesOf(text, lex);
+  const words = clauses.flat();
+
+  let firstPerson = 0;
+  const hits = new Set(), negated = new Set();
+  for (const clause of clauses) {
+    let reach = 0;
+    for (const w of clause) {
+      if (lex.negations.has(w)) { reach = NEGATION_REACH; continue; }
+      if (lex.firstPerson.has(w)) firstPerson++;
+      const stem = lex.vulnerable(w);
+      if (stem) (reach > 0 ? negated : hits).add(stem);
+      if (reach > 0) reach--;
+    }
+  }
+  for (const s of hits) negated.delete(s);   // said plainly once, it counts
+
+  const breakdown = {
+    length: Math.min(1, words.length / 40) * 30,
+    firstPerson: Math.min(firstPerson, FIRST_PERSON_CAP) * 8,
+    vulnerability: hits.size * 12,
+    exclamations: -(text.match(/!/g) || []).length * 6
+  };
+  const sum = Object.values(breakdown).reduce((a, b) => a + b, 0);
+  return {
+    score: Math.max(0, Math.round(sum)), language: lang, breakdown: round(breakdown),
+    words: { vulnerable: [...hits], negated: [...negated] }
+  };
+}
+
+function round(breakdown) {
+  const out = {};
+  for (const [k, v] of Object.entries(breakdown)) out[k] = Math.round(v * 10) / 10;
+  return out;
+}
+
+// ---------- Scorers ----------
+const SCORERS = {
+  classic: () => text => scoreClassic(text),
+  lexicon: opts => text => scoreLexicon(text, opts)
+};
+const SCORER_NAMES = Object.keys(SCORERS);
+
+// Built-in lexicons, with a JSON file of { lang: { firstPerson, vulnerability, negations, markers, elision } }
+// laid over them: a language in the file replaces the lists it names and can add new languages.
+function loadLexicons(file) {
+  const raw = { ...BUILTIN_LEXICONS };
+  if (file) {
+    const extra = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const [lang, lex] of Object.entries(extra)) raw[lang] = { ...raw[lang], ...lex };
+  }
+  const out = {};
+  for (const [lang, lex] of Object.entries(raw)) out[lang] = compile(lex);
+  return out;
+}
+
+// { name, language, score(text) -> { score, language, breakdown } }
+// prefer: the language a tie in auto detection leans to (the circle's locale)
+function createScorer(name = 'classic', { lexicons = loadLexicons(), language = 'auto', prefer = null } = {}) {
+  if (!SCORERS[name]) throw new Error(`unknown scorer "${name}" (use ${SCORER_NAMES.join(' or ')})`);
+  return { name, language: name === 'classic' ? 'en' : language, score: SCORERS[name]({ lexicons, language, prefer }) };
+}
+
+// the scorer a circle's settings ({ scorer, language, locale }) call for; name
+// swaps in another scorer under the same language and locale
+function scorerForSettings({ scorer, language, locale }, { lexicons, name = scorer } = {}) {
+  return createScorer(name, { lexicons, language, prefer: String(locale).toLowerCase().split(/[-_]/)[0] });
+}
+
+// ---------- Threads ----------
+// What gets scored: a recipient's follow-ups make one answer with their first
+// reply. Shared by the server's verdicts and the offline evaluation.
+
+// one recipient's turns in order: answers as {turn, text}, follow-ups as {turn, prompt}
+function threadOf(chain, who) {
+  return chain.events
+    .filter(e => (e.type === 'answer' && e.who === who) || (e.type === 'follow_up' && e.to === who))
+    .map(e => e.type === 'answer' ? { turn: e.turn || 1, text: e.text || '' } : { turn: e.turn, prompt: e.prompt });
+}
+
+// a recipient's whole thread as one answer: the turns, and their answers
+// joined for display; null when they never answered
+function threadAnswer(chain, who) {
+  const turns = [];
+  for (const x of threadOf(chain, who)) {
+    if (x.prompt) turns.push({ turn: x.turn, prompt: x.prompt, text: '' });
+    else if (turns.length && turns[turns.length - 1].turn === x.turn) turns[turns.length - 1].text = x.text;
+    else turns.push({ turn: x.turn, prompt: null, text: x.text });
+  }
+  const said = turns.filter(t => t.text);
+  if (!said.length) return null;
+  return { who, text: said.map(t => t.text).join(' / '), turns };
+}
+
+// every recipient, best score first (silent ones score 0); the whole thread
+// is scored as one text (a turn per line) and keeps its breakdown so the
+// verdict can be explained
+function scoredAnswers(chain, scorer) {
+  const recipients = chain.recipients || [];
+  const answered = chain.events.filter(e => e.type === 'answer' && recipients.includes(e.who)).map(e => e.who);
+  const answers = [...new Set([...answered, ...recipients])].map(r => {
+    const a = threadAnswer(chain, r);
+    if (!a) return { who: r, text: '', score: 0, breakdown: {} };
+    return { ...a, ...scorer.score(a.turns.filter(t => t.text).map(t => t.text).join('\n')) };
+  });
+  return answers.sort((a, b) => b.score - a.score);
+}
+
+module.exports = { createScorer, scorerForSettings, loadLexicons, detectLanguage, threadOf, threadAnswer, scoredAnswers,
+  SCORER_NAMES, BUILTIN_LEXICONS };
+
+// ---------- Offline evaluation ----------
+// Reads the same STORE_DRIVER / SQLITE_PATH / JSON_DB_PATH / DATA_KEY / LEXICON_FILE /
+// SCORER / SCORER_LANGUAGE / DEFAULT_LOCALE env as the server and never writes. Each round
+// is scored in its circle's language and locale, and each recipient's thread as one text,
+// as the server would; `circle` stands for the circle's own scorer. Per adjudicated mirrored
+// or group round: the recorded winner and each scorer's pick with its scores; then how often
+// each scorer agrees with what was recorded.
+function evaluate(store, names, { lexicons, defaults }) {
+  const mask = p => p ? `${p.slice(0, -4)}••${p.slice(-2)}` : '-';
+  const rounds = store.listChains({ status: 'adjudicated' })
+    .filter(c => ['mirrored', 'group'].includes(c.mode) && c.adjudication).map(c => store.getChain(c.id));
+  const agree = Object.fromEntries(names.map(n => [n, 0]));
+  for (const c of rounds) {
+    const circle = store.getCircle(c.circleId || 'default');
+    const settings = { ...defaults, ...(circle && circle.settings) };
+    const cols = [`${c.id}  ${c.mode}  recorded ${mask(c.adjudication.winner)}`];
+    for (const n of names) {
+      const s = scorerForSettings(settings, { lexicons, name: n === 'circle' ? settings.scorer : n });
+      const ranked = scoredAnswers(c, s);
+      if (ranked[0] && ranked[0].who === c.adjudication.winner) agree[n]++;
+      cols.push(`${n === 'circle' ? `circle:${s.name}` : n} ${mask(ranked[0] && ranked[0].who)} (${ranked.map(r => r.score).join('–')})`);
+    }
+    console.log(cols.join('  '));
+  }
+  console.log(`\n${rounds.length} mirrored and group rounds`);
+  for (const n of names) console.log(`${n}: agrees with the recorded winner in ${agree[n]}/${rounds.length}`);
+}
+
+if (require.main === module) {
+  const [cmd, names = ['circle', ...SCORER_NAMES].join(',')] = process.argv.slice(2);
+  if (cmd !== 'eval') {
+    console.error('usage: node scorer.js eval [circle,classic,lexicon]');
+    process.exit(1);
+  }
+  const { STORE_DRIVER = 'sqlite', SQLITE_PATH = 'dread.sqlite', JSON_DB_PATH = 'dread_db.json', LEXICON_FILE,
+    SCORER = 'classic', SCORER_LANGUAGE = 'auto', DEFAULT_LOCALE = 'en', DATA_KEY } = process.env;
+  const unknown = names.split(',').map(n => n.trim()).filter(n => n !== 'circle' && !SCORER_NAMES.includes(n));
+  if (unknown.length) {
+    console.error(`unknown scorer ${unknown.join(', ')} (use ${SCORER_NAMES.join(' or ')})`);
+    process.exit(1);
+  }
+  const dbFile = STORE_DRIVER === 'json' ? JSON_DB_PATH : SQLITE_PATH;
+  if (!fs.existsSync(dbFile)) {
+    console.error(`${dbFile} not found`);
+    process.exit(1);
+  }
+  const { openStore } = require('./store');
+  // no jsonPath for sqlite: an empty database must not import anything here
+  const store = openStore({ driver: STORE_DRIVER, sqlitePath: SQLITE_PATH, jsonPath: STORE_DRIVER === 'json' ? JSON_DB_PATH : null, dataKey: DATA_KEY || null });
+  evaluate(store, names.split(',').map(n => n.trim()), { lexicons: loadLexicons(LEXICON_FILE),
+    defaults: { scorer: SCORER, language: SCORER_LANGUAGE, locale: DEFAULT_LOCALE } });
+  store.close();
+}
@@ -9,9 +9,14 @@
 require('dotenv').config();
 const express = require('express');
 const bodyParser = require('body-parser');
-const Twilio = require('twilio');
 const crypto = require('crypto');
-const { Low, JSONFile } = require('lowdb');
+const path = require('path');
+const { createTransport } = require('./transport');
+const { openStore } = require('./store');
+const { normalizeRecurrence, nextRun, inQuietHours, quietHoursEnd, validQuietHours, validTimezone } = require('./recurrence');
+const { scorerForSettings, loadLexicons, threadOf, threadAnswer, scoredAnswers, SCORER_NAMES } = require('./scorer');
+const stats = require('./stats');
+const { createVoice } = require('./voice');
 
 const app = express();
 app.use(bodyParser.urlencoded({ extended: false }));
@@ -24,46 +29,111 @@ const {
   TWILIO_ACCOUNT_SID,
   TWILIO_AUTH_TOKEN,
   TWILIO_NUMBER,                                // e.g. +1323XXXXXXX
+  SMS_TRANSPORT = 'twilio',                     // twilio | local (dev/CI: outbox, no network)
+  SMS_OUTBOX_FILE,                              // local only: append outbound as NDJSON here
+  LOCAL_AUTH_TOKEN,                             // local only: webhook signing token (default local-dev-token)
+  FAKE_CLOCK = '',                              // '1' enables POST /dev/clock (local transport only)
 
-  // timing (user locked: 40/30)
+  // timing (user locked: 40/30); this block down to KEYPHRASE is the default
+  // for every circle, each can override it (see Circles)
   SOLO_WINDOW_SECONDS = 40,
   MIRRORED_WINDOW_SECONDS = 30,
+  OPEN_GRACE_MINUTES = 60,                      // mirrored/group: an unopened whisper counts as unanswered after this
 
   // routing & spice
   MIRROR_CHANCE = 0.12,                         // % of rounds that are mirrored when 2+ eligible
   REVEAL_PROB = 0.72,                           // chance to reveal exposure to others
   BLANK_PROB = 0.0015,                          // ~0.15% independent “blank” folklore ping
+  FOLLOW_CHANCE = 0.3,                          // chance dread presses an answer with a follow-up turn
+  FOLLOW_MAX_TURNS = 2,                         // follow-ups per recipient per chain (0 = never)
+  FOLLOW_WINDOW_SECONDS = 25,                   // a follow-up's deadline, counted from when it is sent
+  SCORER = 'classic',                           // mirrored-round exposure scorer: classic | lexicon
+  SCORER_LANGUAGE = 'auto',                     // lexicon scorer: en | es | fr | de | … | auto (guess per answer)
+  LEXICON_FILE,                                 // optional JSON lexicons laid over the built-in ones (see scorer.js)
 
   // riddle / mantle
   RIDDLE_TEXT = 'speak nothing of the riddle. keep only the phrase. when dread calls, answer.',
+  MANTLE_HOURS = 168,                           // how long a bearer wears the name (7 days)
+  MANTLE_ASKS_PER_DAY = 3,                      // ASK whispers a bearer may author in any 24h
+  MANTLE_VOTE_SECONDS = 120,                    // a verdict waits this long for the bearer's VOTE (0 = no vote)
   KEYPHRASE = 'JACKDAW ASCENDS',                // harmless proof phrase
-  ADMIN_SECRET = 'change-me'                    // simple header gate for /admin endpoints
+  ADMIN_SECRET = 'change-me',                   // x-admin header gate for /admin endpoints (must be changed)
+
+  // voice
+  DEFAULT_LOCALE = 'en',                        // for anyone who has not picked one with LANG (circles may override)
+  VOICE_DIR,                                    // locale files (default: voice/ next to server.js), reloaded on change
+
+  // storage
+  STORE_DRIVER = 'sqlite',                      // sqlite | json (lowdb file, small setups)
+  SQLITE_PATH = 'dread.sqlite',
+  JSON_DB_PATH = 'dread_db.json',               // json driver file; also imported into a new SQLite db
+  DATA_KEY,                                     // encrypts answers and phone numbers at rest (long random secret); unset = plaintext
+  RETENTION_DAYS = 0,                           // erase answer text and spent tokens older than this, daily (0 = keep)
+
+  // durable jobs
+  JOB_POLL_SECONDS = 1,                         // how often due jobs are picked up
+  SWEEP_SECONDS = 15,                           // how often stale chains are adjudicated
+
+  // outbound queue (0 turns a limit off)
+  SMS_PER_SECOND = 1,                           // per sending number; a Twilio long code takes ~1/s
+  SMS_PER_NUMBER_PER_MINUTE = 6,                // to any one phone
+  SMS_MAX_ATTEMPTS = 5                          // sends before a message is marked failed
 } = process.env;
 
-if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_NUMBER) {
-  console.error('Missing Twilio env. Set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_NUMBER');
+if (SMS_TRANSPORT === 'twilio' && (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_NUMBER)) {
+  console.error('Missing Twilio env. Set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_NUMBER (or SMS_TRANSPORT=local)');
+  process.exit(1);
+}
+if (!SCORER_NAMES.includes(SCORER)) {
+  console.error(`Unknown SCORER "${SCORER}" (use ${SCORER_NAMES.join(' or ')})`);
+  process.exit(1);
+}
+if (DATA_KEY && DATA_KEY.length < 16) {
+  console.error('DATA_KEY is too short. Use at least 16 random characters (e.g. openssl rand -base64 32).');
   process.exit(1);
 }
-const tw = Twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+if (!ADMIN_SECRET || ADMIN_SECRET === 'change-me') {
+  console.error('Refusing to start with the default ADMIN_SECRET. Set ADMIN_SECRET to a long random value.');
+  process.exit(1);
+}
+
+// ---------- Clock ----------
+// All game time reads go through clock.now() so a fake clock can skip the 40s/30s
+// windows in dev and tests. Jobs are polled against it, so advancing fires them.
+const clock = {
+  offsetMs: 0,
+  now(){ return Date.now() + this.offsetMs; },
+  advance(ms){ this.offsetMs += ms; return this.now(); }
+};
+const devMode = SMS_TRANSPORT === 'local';
+
+const transport = createTransport(SMS_TRANSPORT, {
+  accountSid: TWILIO_ACCOUNT_SID,
+  authToken: TWILIO_AUTH_TOKEN,
+  from: TWILIO_NUMBER,
+  outboxFile: SMS_OUTBOX_FILE,
+  now: () => clock.now(),
+  ...(SMS_TRANSPORT === 'local' && LOCAL_AUTH_TOKEN ? { authToken: LOCAL_AUTH_TOKEN } : {})
+});
 
 // ---------- Persistence ----------
-const adapter = new JSONFile('dread_db.json');
-const db = new Low(adapter);
-
-async function bootDB() {
-  await db.read();
-  db.data = db.data || {
-    users: {},              // phone -> {consented, optedOut, alias?, consentAt?}
-    chains: [],             // whisper chains
-    tokens: {},             // token -> { chainId, recipient, sentAt, openedAt, deadline, used, respondedText }
-    mantle: null,           // { holder, alias, expiresAt }
-    phraseCall: null,       // { active, startedAt, endedAt }
-    lastPingAt: {}          // phone -> ISO (for pattern rhythm if you want to add later)
-  };
-  await db.write();
+// Repository calls are synchronous (see store.js): no await between reading a
+// row and saving it means no other webhook can slip a write in between.
+const store = openStore({ driver: STORE_DRIVER, sqlitePath: SQLITE_PATH, jsonPath: JSON_DB_PATH, dataKey: DATA_KEY || null });
+
+// chain.events mirrors the events table; keep both in step
+function addEvent(chain, ev){
+  const row = store.appendEvent(chain.id, ev);
+  chain.events.push(row);
+  return row;
 }
-function nowISO(){ return new Date().toISOString(); }
+function nowISO(){ return new Date(clock.now()).toISOString(); }
 function pick(a){ return a[Math.floor(Math.random()*a.length)]; }
+function shuffle(a){
+  const out = [...a];
+  for (let i=out.length-1; i>0; i--){ const j = Math.floor(Math.random()*(i+1)); [out[i], out[j]] = [out[j], out[i]]; }
+  return out;
+}
 function mask(p){ return `${p.slice(0,-4)}••${p.slice(-2)}`; }
 function genToken(){ return crypto.randomBytes(10).toString('base64url'); }
 function secs(ms){ return Math.max(0, Math.round(ms/1000)); }
@@ -81,107 +151,349 @@ function encodeInvisible(text) {
   return BRAILLE_BLANK + zw + BRAILLE_BLANK;
 }
 
-// ---------- Voice Corpus (lower-case, third-person, safe existential tone) ----------
-const CORPUS = {
-  normal: [
-    "dread watches pattern.",
-    "small truths surface under a short clock.",
-    "most answers arrive before the mask can be fixed.",
-    "dread is a game. humans are the story.",
-    "brevity uncovers what polish conceals."
-  ],
-  violation: [
-    "you fed dread.",
-    "not full dread tonight. dread grateful.",
-    "you may yet know dread."
-  ],
-  mirror_openers: [
-    "did you take advantage?",
-    "did you take someone for granted?",
-    "were you hiding your intent from them… or from yourself?"
-  ],
-  mirror_follow: [
-    "will you be honest now?"
-  ],
-  mirror_rare: [
-    "speak"
-  ],
-  closers: [
-    "silence.",
-    "it is enough.",
-    "the moment passed."
-  ],
-  arrival: [
-    "dread has arrived.",
-    "dread knows his name. dread knows…"
-  ]
-};
+// inverse of encodeInvisible: the hidden text, or null. Only the zero-width
+// characters count, so guards lost in a paste or words typed around it don't matter.
+function decodeInvisible(text) {
+  const bits = [...String(text || '')].filter(c => c === ZW_SPACE || c === ZW_NONJOIN)
+    .map(c => c === ZW_SPACE ? '0' : '1').join('');
+  if (!bits || bits.length % 8) return null;
+  let b64 = '';
+  for (let i = 0; i < bits.length; i += 8) b64 += String.fromCharCode(parseInt(bits.slice(i, i+8), 2));
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(b64)) return null;
+  return Buffer.from(b64, 'base64').toString('utf8');
+}
+
+// ---------- Voice (lower-case, third-person, safe existential tone) ----------
+// Everything dread says lives in voice/<locale>.json (see voice.js) and is
+// re-read when a file changes. A reader's locale is their LANG choice, else
+// their circle's locale setting, else DEFAULT_LOCALE. voiceFor(phone, circleId)
+// is the say(key, vars) for one reader; say it per recipient, never once for
+// a whole audience.
+let voice;
+try { voice = createVoice({ dir: VOICE_DIR || path.join(__dirname, 'voice'), fallback: DEFAULT_LOCALE }); }
+catch (e) { console.error(e.message); process.exit(1); }
+for (const [locale, r] of Object.entries(voice.report())) {
+  if (!r.ok) console.warn(`voice: ${locale} has gaps, run node voice.js check`);
+}
+
+function localeOf(phone, circleId){
+  const u = phone && store.getUser(phone);
+  return voice.resolve((u && u.locale) || settingsOf(getCircle(circleId)).locale);
+}
+function voiceFor(phone, circleId){
+  const locale = localeOf(phone, circleId);
+  return (key, vars) => voice.line(locale, key, vars);
+}
+// pages with no recipient to go by (decode, dead links) follow the browser
+function pageVoice(req){
+  const locale = voice.resolve(req.acceptsLanguages(...voice.locales()) || DEFAULT_LOCALE);
+  return (key, vars) => voice.line(locale, key, vars);
+}
 
 // ---------- User & Consent ----------
+// users: { phone, consented, optedOut, alias?, maxIntensity? (1-5, set with the oath),
+//          answeredQuestions? (bank ids), quietHours?, timezone?,
+//          consentVersion?, privacy? { reveal, mirror }, consentLog? [{ kind, value, version, at }],
+//          pausedUntil? (ms, set by PAUSE), locale? (set by LANG) }
+//
+// The oath only covers receiving whispers. Showing someone's answers to anyone
+// else needs its own REVEAL ON, so a user who never agreed to sharing (including
+// everyone who consented before privacy settings existed) is never exposed.
+const CONSENT_VERSION = 2;
+const PRIVACY_DEFAULTS = { reveal: false, mirror: true };
+
 async function ensureUser(phone) {
-  await db.read();
-  db.data.users[phone] = db.data.users[phone] || { consented:false, optedOut:false };
-  await db.write();
-  return db.data.users[phone];
+  let u = store.getUser(phone);
+  if (!u) { u = { phone, consented:false, optedOut:false }; store.saveUser(u); }
+  return u;
 }
-async function setConsent(phone, val) {
-  await db.read();
+// append-only record of every consent decision (caller saves)
+function logConsent(u, kind, value){
+  u.consentLog = [...(u.consentLog || []), { kind, value, version: CONSENT_VERSION, at: nowISO() }];
+}
+async function setConsent(phone, val, maxIntensity) {
   const u = await ensureUser(phone);
   u.consented = !!val; u.optedOut = false; u.consentAt = nowISO();
-  await db.write();
+  u.consentVersion = CONSENT_VERSION;
+  // each oath sets the cap afresh: a plain one lifts a cap from an earlier oath
+  if (maxIntensity) u.maxIntensity = maxIntensity; else delete u.maxIntensity;
+  logConsent(u, 'oath', !!val);
+  store.saveUser(u);
 }
 async function setOptOut(phone) {
-  await db.read();
   const u = await ensureUser(phone);
   u.optedOut = true; u.consented = false; u.optOutAt = nowISO();
-  await db.write();
+  logConsent(u, 'opt_out', true);
+  store.saveUser(u);
 }
 async function isConsented(phone) {
-  await db.read();
-  const u = db.data.users[phone];
+  const u = store.getUser(phone);
   return !!(u && u.consented && !u.optedOut);
 }
+function privacyOf(u){ return { ...PRIVACY_DEFAULTS, ...(u && u.privacy) }; }
+async function setPrivacy(phone, key, on) {
+  const u = await ensureUser(phone);
+  u.privacy = { ...privacyOf(u), [key]: !!on };
+  logConsent(u, key, !!on);
+  store.saveUser(u);
+}
+// only a current, consenting user who said REVEAL ON can have answers shown
+function mayReveal(phone){
+  const u = store.getUser(phone);
+  return !!(u && u.consented && !u.optedOut && privacyOf(u).reveal);
+}
+function mayMirror(phone){ return privacyOf(store.getUser(phone)).mirror; }
+
+// ---------- Circles (separate friend groups) ----------
+// circles: { id, name, number, members, settings, createdAt }
+// Each circle texts from its own number, and inbound texts are routed by the
+// number they were sent to. A circle keeps its own mantle, phrase call and
+// settings (anything left out falls back to env). Consent, STOP and privacy
+// stay per person: one oath covers every circle a phone is added to.
+// The 'default' circle is made at boot with number null (= TWILIO_NUMBER) and
+// members null (= every consented user), so a single-group install and every
+// chain from before circles keep working unchanged.
+const DEFAULT_CIRCLE = 'default';
+const prob = v => typeof v === 'number' && v >= 0 && v <= 1;
+const CIRCLE_SETTINGS = {
+  soloWindowSeconds:     v => Number.isInteger(v) && v > 0,
+  mirroredWindowSeconds: v => Number.isInteger(v) && v > 0,
+  openGraceMinutes:      v => Number.isInteger(v) && v > 0,
+  mirrorChance: prob,
+  revealProb: prob,
+  blankProb: prob,
+  followChance: prob,
+  followMaxTurns:      v => Number.isInteger(v) && v >= 0 && v <= 5,
+  followWindowSeconds: v => Number.isInteger(v) && v > 0,
+  keyphrase:  v => typeof v === 'string' && !!v.trim(),
+  riddleText: v => typeof v === 'string' && !!v.trim(),
+  mantleHours:       v => Number.isInteger(v) && v > 0,
+  mantleAsksPerDay:  v => Number.isInteger(v) && v >= 0,
+  mantleVoteSeconds: v => Number.isInteger(v) && v >= 0,
+  scorer:   v => SCORER_NAMES.includes(v),
+  language: v => v === 'auto' || !!lexicons[v],
+  locale:   v => typeof v === 'string' && voice.has(v)
+};
+
+function settingsOf(circle){
+  return {
+    soloWindowSeconds: parseInt(SOLO_WINDOW_SECONDS,10),
+    mirroredWindowSeconds: parseInt(MIRRORED_WINDOW_SECONDS,10),
+    openGraceMinutes: parseInt(OPEN_GRACE_MINUTES,10),
+    mirrorChance: parseFloat(MIRROR_CHANCE),
+    revealProb: parseFloat(REVEAL_PROB),
+    blankProb: parseFloat(BLANK_PROB),
+    followChance: parseFloat(FOLLOW_CHANCE),
+    followMaxTurns: parseInt(FOLLOW_MAX_TURNS,10),
+    followWindowSeconds: parseInt(FOLLOW_WINDOW_SECONDS,10),
+    keyphrase: KEYPHRASE,
+    riddleText: RIDDLE_TEXT,
+    mantleHours: parseInt(MANTLE_HOURS,10),
+    mantleAsksPerDay: parseInt(MANTLE_ASKS_PER_DAY,10),
+    mantleVoteSeconds: parseInt(MANTLE_VOTE_SECONDS,10),
+    scorer: SCORER,
+    language: SCORER_LANGUAGE,
+    locale: DEFAULT_LOCALE,
+    ...(circle && circle.settings)
+  };
+}
+function getCircle(id){ return store.getCircle(id || DEFAULT_CIRCLE); }
+function circleOf(chain){ return getCircle(chain.circleId); }
+function numberOf(circle){ return (circle && circle.number) || transport.from; }
+// unknown numbers (or a To formatted differently) land in the default circle
+function circleForNumber(to){
+  return (to && store.listCircles({ number: to })[0]) || getCircle(DEFAULT_CIRCLE);
+}
+function isMember(circle, phone){ return !circle.members || circle.members.includes(phone); }
+async function circleMembers(circle){
+  if (!circle.members) return store.listUsers({ consented: true, optedOut: false }).map(u=> u.phone);
+  const out = [];
+  for (const p of circle.members) if (await isConsented(p)) out.push(p);
+  return out;
+}
+// per-circle meta row; the default circle keeps the pre-circle keys
+function circleKey(name, circleId){ return !circleId || circleId === DEFAULT_CIRCLE ? name : `${name}:${circleId}`; }
+
+function ensureDefaultCircle(){
+  if (store.getCircle(DEFAULT_CIRCLE)) return;
+  store.saveCircle({ id: DEFAULT_CIRCLE, name: 'default', number: null, members: null, settings: {}, createdAt: nowISO() });
+}
+ensureDefaultCircle();
 
 // ---------- Mantle (temporarily rename Dread) ----------
-async function currentMantle() {
-  await db.read();
-  const m = db.data.mantle;
-  if (!m) return null;
-  if (Date.now() > new Date(m.expiresAt).getTime()) {
-    db.data.mantle = null; await db.write(); return null;
-  }
+// The bearer speaks as Dread in their circle for mantleHours: ASK authors a
+// whisper (mantleAsksPerDay in any 24 hours) and VOTE decides whether a
+// verdict's answers are shown. A mantle_expire job holds the handover when the
+// time runs out. Everything a bearer does goes to the audit table.
+async function currentMantle(circleId) {
+  const m = store.getMeta(circleKey('mantle', circleId));
+  if (!m || clock.now() > new Date(m.expiresAt).getTime()) return null;   // expireMantle clears it
   return m;
 }
-async function setMantle(holderPhone) {
-  await db.read();
-  const alias = (db.data.users[holderPhone] && db.data.users[holderPhone].alias) || mask(holderPhone);
-  db.data.mantle = { holder: holderPhone, alias, expiresAt: new Date(Date.now()+7*24*3600*1000).toISOString() };
-  await db.write();
+async function setMantle(circleId, holderPhone) {
+  const u = store.getUser(holderPhone);
+  const alias = (u && u.alias) || mask(holderPhone);
+  const hours = settingsOf(getCircle(circleId)).mantleHours;
+  const m = { holder: holderPhone, alias, since: nowISO(), expiresAt: new Date(clock.now()+hours*3600*1000).toISOString() };
+  store.tx(()=>{
+    store.setMeta(circleKey('mantle', circleId), m);
+    logMantle(circleId, holderPhone, 'claimed', { expiresAt: m.expiresAt });
+  });
+  await scheduleJob('mantle_expire', new Date(m.expiresAt).getTime(), { circleId }, `mantle:${circleId}`);
+  return m;
 }
 function dreadHeader(alias) { return alias ? `Dread (${alias}):` : `Dread:`; }
+function mantleSpan(hours, say) {
+  if (hours % 24) return hours === 1 ? say('mantle.hour') : say('mantle.hours', { n: hours });
+  return hours === 24 ? say('mantle.day') : say('mantle.days', { n: hours/24 });
+}
+
+function logMantle(circleId, holder, action, detail = {}){
+  store.addAudit({ id: 'au_'+crypto.randomBytes(5).toString('hex'), circleId: circleId || DEFAULT_CIRCLE, holder, action, ...detail, at: nowISO() });
+}
+
+// ASKs by this bearer in the last 24 hours
+function asksToday(circleId, holder){
+  const since = new Date(clock.now() - 24*3600*1000).toISOString();
+  return store.listAudit({ circleId }).filter(a=> a.holder === holder && a.action === 'ask' && a.at > since).length;
+}
+
+// Handover: the name returns to Dread, the circle hears who wore it, and the
+// phrase is called for the next bearer. A mantle renewed since the job was
+// queued just moves the job to its new end.
+async function expireMantle(circleId){
+  const key = circleKey('mantle', circleId);
+  const m = store.getMeta(key);
+  if (!m) return;
+  const end = new Date(m.expiresAt).getTime();
+  if (clock.now() < end) return scheduleJob('mantle_expire', end, { circleId }, `mantle:${circleId}`);
+  store.tx(()=>{
+    store.setMeta(key, null);
+    logMantle(circleId, m.holder, 'expired');
+  });
+  const circle = getCircle(circleId);
+  if (!circle) return;
+  store.setMeta(circleKey('phraseCall', circleId), { active: true, startedAt: nowISO(), handover: true });
+  for (const p of await circleMembers(circle)) {
+    const say = voiceFor(p, circleId);
+    await sendSMS(p, p === m.holder ? say('mantle.set_down_self') : say('mantle.set_down', { alias: m.alias }), { circleId });
+  }
+}
 
 // ---------- SMS helpers ----------
-async function sendSMS(to, lines) {
-  const mantle = await currentMantle();
+// Both only queue the message (see Outbound queue). ref { circleId, chainId, eventId }:
+// the circle picks the sending number and mantle header (default circle if left
+// out), and the chain event that produced it gets the delivery status.
+async function sendSMS(to, lines, ref = {}) {
+  const mantle = await currentMantle(ref.circleId);
   const body = Array.isArray(lines) ? [dreadHeader(mantle?.alias), ...lines].join('\n') : `${dreadHeader(mantle?.alias)}\n${lines}`;
-  return tw.messages.create({ to, from: TWILIO_NUMBER, body });
+  return queueSMS(to, body, ref);
 }
-async function sendBlank(to, payloadText) {
+async function sendBlank(to, payloadText, ref) {
   const invis = encodeInvisible(payloadText); // looks empty to 99.999%
-  return tw.messages.create({ to, from: TWILIO_NUMBER, body: invis });
+  return queueSMS(to, invis, ref);
+}
+
+// ---------- Outbound queue ----------
+// Every outbound text is a row in the messages table, drained by the job loop
+// under a per-sender and a per-recipient rate limit. A failed send is retried with
+// backoff; a 4xx from the provider (bad number, blocked) is final at once.
+// Status callbacks from Twilio (POST /sms/status) carry the message through
+// sent → delivered / undelivered / failed, copied onto its chain event's
+// `delivery` map. A crash mid-send may repeat that one message on boot.
+// STOP wins over the queue: anything still queued for an opted-out number is
+// dropped when its turn comes, save the replies to STOP, START and HELP (`always`).
+const STATUS_RANK = { queued:0, sending:1, sent:2, delivered:3, undelivered:3, failed:3, dropped:3, read:4 };
+const MESSAGE_DONE = ['sent','delivered','undelivered','failed','dropped','read'];
+const recentSends = [];   // { to, from, at } for the last minute, rate limiting only
+
+function queueSMS(to, body, { circleId = DEFAULT_CIRCLE, chainId = null, eventId = null, always = false } = {}){
+  const msg = {
+    id: 'msg_'+crypto.randomBytes(6).toString('hex'),
+    to, from: numberOf(getCircle(circleId)), body, circleId, chainId, eventId,
+    status: 'queued', attempts: 0, runAt: clock.now(), createdAt: nowISO(),
+    ...(always ? { always } : {})
+  };
+  store.saveMessage(msg);
+  armJobs(msg.runAt);
+  return msg;
 }
 
+// ms until msg may go out under both limits (0: now)
+function rateDelay({ to, from }){
+  const now = clock.now();
+  while (recentSends.length && recentSends[0].at <= now - 60000) recentSends.shift();
+  const perSecond = parseInt(SMS_PER_SECOND,10), perNumber = parseInt(SMS_PER_NUMBER_PER_MINUTE,10);
+  const lastSecond = recentSends.filter(s=> s.from === from && s.at > now - 1000);
+  if (perSecond && lastSecond.length >= perSecond) return lastSecond[lastSecond.length - perSecond].at + 1000 - now;
+  const mine = recentSends.filter(s=> s.to === to);
+  if (perNumber && mine.length >= perNumber) return mine[mine.length - perNumber].at + 60000 - now;
+  return 0;
+}
+
+// oldest due message first; a number over its limit waits without holding up the others
+async function drainOutbox(){
+  for (;;) {
+    const due = store.findMessages({ status:'queued' })
+      .filter(m=> m.runAt <= clock.now())
+      .sort((a,b)=> a.runAt - b.runAt);
+    if (!due.length) return;
+    let msg = null, wait = Infinity;
+    for (const m of due) {
+      const d = rateDelay(m);
+      if (!d) { msg = m; break; }
+      wait = Math.min(wait, d);
+    }
+    if (!msg) { armJobs(clock.now() + wait); return; }
+    await deliverMessage(msg);
+  }
+}
+
+async function deliverMessage(msg){
+  if (!msg.always && store.getUser(msg.to)?.optedOut) return recordDelivery(msg, 'dropped');
+  msg.status = 'sending'; msg.attempts++;
+  store.saveMessage(msg);
+  recentSends.push({ to: msg.to, from: msg.from, at: clock.now() });
+  try {
+    const sent = await transport.send(msg.to, msg.body, { from: msg.from, statusCallback: statusCallbackURL() });
+    msg.sid = sent.sid; msg.sentAt = nowISO();
+    recordDelivery(msg, 'sent');
+    await startSoloClock(msg);
+  } catch (e) {
+    console.error(`sms ${msg.id} to ${mask(msg.to)} failed (attempt ${msg.attempts}):`, e.message || e);
+    msg.error = String(e.message || e); msg.errorCode = e.code || null;
+    const final = (e.status >= 400 && e.status < 500 && e.status !== 429) || msg.attempts >= parseInt(SMS_MAX_ATTEMPTS,10);
+    if (final) return recordDelivery(msg, 'failed', msg.errorCode);
+    msg.status = 'queued'; msg.runAt = clock.now() + Math.pow(2, msg.attempts)*1000;
+    store.saveMessage(msg);
+    armJobs(msg.runAt);
+  }
+}
+
+// statuses only move forward; callbacks may arrive out of order
+function recordDelivery(msg, status, errorCode){
+  if (!(status in STATUS_RANK)) return;
+  if (STATUS_RANK[status] < STATUS_RANK[msg.status]) return;
+  store.tx(()=>{
+    msg.status = status; msg.statusAt = nowISO();
+    if (errorCode) msg.errorCode = errorCode;
+    store.saveMessage(msg);
+    const ev = msg.eventId && store.getEvent(msg.eventId);
+    if (ev) {
+      ev.delivery = { ...ev.delivery, [msg.id]: { to: msg.to, status, at: msg.statusAt, ...(errorCode ? { errorCode } : {}) } };
+      store.saveEvent(ev);
+    }
+  });
+}
+
+function statusCallbackURL(){ return transport.name === 'twilio' ? BASE_URL.replace(/\/+$/,'') + '/sms/status' : null; }
+
 // ---------- Exposure score (mirror) ----------
-function scoreExposure(text){
-  if (!text) return 0;
-  const t = text.toLowerCase();
-  let s = 0;
-  s += Math.min(1.0, t.length/200)*30;
-  const fp = (t.match(/\b(i|i'm|i am|me|my|mine)\b/g)||[]).length; s += fp*8;
-  const vuln = ['ashamed','sorry','regret','fear','alone','embarrass','hid','secret'];
-  let vc=0; vuln.forEach(w=>{ if(t.includes(w)) vc++; }); s += vc*12;
-  const bangs = (t.match(/!/g)||[]).length; s -= bangs*6;
-  return Math.max(0, Math.round(s));
+// The scorers live in scorer.js; each circle picks one (settings.scorer / language).
+// Lexicons are read once at boot.
+const lexicons = loadLexicons(LEXICON_FILE);
+function scorerFor(circle){
+  return scorerForSettings(settingsOf(circle), { lexicons });
 }
 
 // ---------- Create Whisper ----------
@@ -190,310 +502,2136 @@ POST /create
 {
   "question":"what did you avoid today?",
   "participants":["+1323xxxxxxx","+1yyyyyyyyyy"],
-  "window":{"min":1,"max":15} // minutes, randomized fire time
+  "window":{"min":1,"max":15}, // minutes, randomized fire time
+  "quietHours":{"start":"23:00","end":"08:00"}, "timezone":"America/Los_Angeles", // optional
+  "circleId":"default",  // optional; only members of the circle are kept
+  "group":{"size":4,"reveal":"top-half"}   // optional: a group round, see below
 }
+Leave out "question" to draw one from the bank at fire time; "tags" and
+"maxIntensity" narrow the draw.
+A group round draws up to `size` participants at once (only those with MIRROR
+on), each with the mirrored unlock timer, and ranks every answer. `reveal`
+picks whose answers are shown after the ranking: top1, top-half, all or none.
 */
-app.post('/create', async (req,res)=>{
-  await bootDB();
-  const { question, participants = [], window } = req.body || {};
-  if (!question || !participants.length) return res.status(400).json({error:'question and participants required'});
+const REVEAL_POLICIES = ['top1','top-half','all','none'];
+function groupInput(g){
+  const size = Number(g.size);
+  if (!Number.isInteger(size) || size < 2 || size > 20) throw new Error('group.size must be 2-20');
+  const reveal = g.reveal || 'top1';
+  if (!REVEAL_POLICIES.includes(reveal)) throw new Error(`group.reveal must be ${REVEAL_POLICIES.join(', ')}`);
+  return { size, reveal };
+}
 
-  // consent filter
-  const eligible = [];
-  for (const p of participants) if (await isConsented(p)) eligible.push(p);
-  if (!eligible.length) return res.status(400).json({error:'no consented recipients'});
+app.post('/create', async (req,res)=>{
+  const { question, participants = [], window, quietHours, timezone, tags, maxIntensity, circleId = DEFAULT_CIRCLE, group } = req.body || {};
+  if (!participants.length) return res.status(400).json({error:'participants required'});
+  let groupSpec = null;
+  if (group) { try { groupSpec = groupInput(group); } catch(e){ return res.status(400).json({error: e.message}); } }
+  if (!getCircle(circleId)) return res.status(400).json({error:`unknown circle "${circleId}"`});
+  if (quietHours && !validQuietHours(quietHours)) return res.status(400).json({error:'quietHours needs {start:"HH:MM", end:"HH:MM"}'});
+  if (timezone && !validTimezone(timezone)) return res.status(400).json({error:`unknown timezone "${timezone}"`});
 
   let minM = 1, maxM = 15;
   if (window && typeof window.min==='number') minM = Math.max(0.1, window.min);
   if (window && typeof window.max==='number') maxM = Math.max(minM, window.max);
   const delayMs = Math.round((minM*60000) + Math.random()*((maxM-minM)*60000));
 
+  const questionQuery = question ? null : bankQuery({ tags, maxIntensity });
+  const chain = await createChain({ circleId, question, participants, delayMs,
+    extra: { questionQuery, quietHours: quietHours || null, timezone: timezone || null, group: groupSpec } });
+  if (!chain) return res.status(400).json({error:'no consented members among participants'});
+  res.json({ok:true, id:chain.id, scheduledInSeconds: secs(delayMs)});
+});
+
+// consent and membership filter, store, queue the fire job. null when nobody is left.
+async function createChain({ circleId = DEFAULT_CIRCLE, question, participants, delayMs = 0, extra = {} }){
+  const circle = getCircle(circleId);
+  const eligible = [];
+  for (const p of participants) if (circle && isMember(circle, p) && await isConsented(p)) eligible.push(p);
+  if (!eligible.length) return null;
+
   const chain = {
     id: 'chain_'+crypto.randomBytes(5).toString('hex'),
-    question: String(question).trim(),
+    circleId,
+    question: question ? String(question).trim() : null,   // null: drawn from the bank on fire
     participants: eligible,
     createdAt: nowISO(),
-    scheduledAt: Date.now()+delayMs,
+    scheduledAt: clock.now()+delayMs,
     status: 'scheduled',
+    ...extra,
     events: []
   };
-  db.data.chains.push(chain);
-  await db.write();
-
-  setTimeout(()=>fireChain(chain.id).catch(console.error), delayMs);
-  res.json({ok:true, id:chain.id, scheduledInSeconds: secs(delayMs)});
-});
+  store.saveChain(chain);
+  await scheduleJob('fire_chain', chain.scheduledAt, { chainId: chain.id }, `fire:${chain.id}`);
+  return chain;
+}
 
 // ---------- Fire chain ----------
+// Resumable: 'scheduled' picks recipients once; 'fired' (crash mid-send) only
+// sends to recipients that do not hold a token yet. Anything else is a no-op.
 async function fireChain(chainId){
-  await bootDB();
-  const chain = db.data.chains.find(c=>c.id===chainId);
-  if (!chain) return;
+  const chain = store.getChain(chainId);
+  if (!chain || !['scheduled','fired'].includes(chain.status)) return;
+  if (chain.status === 'fired') return sendChainTokens(chain);
+
+  // Quiet hours: only participants awake right now can be drawn. If nobody is,
+  // the chain stays scheduled until the first quiet window ends.
+  const wakes = chain.participants.map(p=> quietUntil(p, chain));
+  const awake = chain.participants.filter((p,i)=> !wakes[i]);
+  if (!awake.length) {
+    const at = Math.min(...wakes);
+    chain.scheduledAt = at;
+    store.tx(()=>{ store.saveChain(chain); addEvent(chain, {type:'deferred_quiet_hours', until: new Date(at).toISOString(), at: nowISO()}); });
+    await scheduleJob('fire_chain', at, { chainId: chain.id }, `fire:${chain.id}`);
+    return;
+  }
 
   chain.status = 'fired'; chain.firedAt = nowISO();
-  chain.events.push({type:'fired', at: nowISO()});
+  store.tx(()=>{ store.saveChain(chain); addEvent(chain, {type:'fired', at: nowISO()}); });
+  const cfg = settingsOf(circleOf(chain));
 
   // Ultra-rare blank folklore ping (independent)
-  if (Math.random() < parseFloat(BLANK_PROB)) {
-    const target = pick(chain.participants);
-    try { await sendBlank(target, `${RIDDLE_TEXT}|||${KEYPHRASE}`); chain.events.push({type:'blank_sent', to: target, at: nowISO()}); }
-    catch(e){ chain.events.push({type:'blank_fail', error:String(e), at: nowISO()}); }
+  if (Math.random() < cfg.blankProb) {
+    const target = pick(awake);
+    const blankId = crypto.randomBytes(3).toString('hex');
+    const ev = store.tx(()=>{
+      noteBlank(target, 'blanksSent', { blankId, circleId: chain.circleId || DEFAULT_CIRCLE, chainId: chain.id, at: nowISO() });
+      return addEvent(chain, {type:'blank_sent', to: target, blankId, at: nowISO()});
+    });
+    await sendBlank(target, `${cfg.riddleText}|||${cfg.keyphrase}|||${blankId}`, { circleId: chain.circleId, chainId: chain.id, eventId: ev.id });
   }
 
-  // Decide single vs mirrored
+  // Decide single, mirrored or group (pairing only among those who allow it);
+  // a group round with fewer than two pairable people falls back to single
+  const pairable = awake.filter(mayMirror);
   let mirror = false;
-  if (chain.participants.length >= 2) mirror = Math.random() < parseFloat(MIRROR_CHANCE);
+  if (pairable.length >= 2 && !chain.group) mirror = Math.random() < cfg.mirrorChance;
 
   let recipients = [];
-  if (mirror) {
-    const a = pick(chain.participants);
-    let b = pick(chain.participants);
-    while (b === a && chain.participants.length > 1) b = pick(chain.participants);
+  if (chain.group && pairable.length >= 2) {
+    recipients = shuffle(pairable).slice(0, chain.group.size); chain.mode = 'group';
+  } else if (mirror) {
+    const a = pick(pairable);
+    let b = pick(pairable);
+    while (b === a && pairable.length > 1) b = pick(pairable);
     recipients = [a,b]; chain.mode = 'mirrored';
   } else {
-    recipients = [pick(chain.participants)]; chain.mode = 'single';
+    recipients = [pick(awake)]; chain.mode = 'single';
   }
   chain.recipients = recipients;
-  chain.events.push({type:'chosen_recipients', recipients, at: nowISO()});
-  await db.write();
+  if (!chain.question) {
+    const q = pickBankQuestion(recipients, chain.questionQuery || {});
+    if (!q) {
+      chain.status = 'no_question';
+      store.tx(()=>{ store.saveChain(chain); addEvent(chain, {type:'no_question', recipients, at: nowISO()}); });
+      if (chain.bracketId) await advanceBracket(chain.bracketId);
+      return;
+    }
+    chain.question = q.text; chain.questionId = q.id;
+  }
+  store.tx(()=>{ store.saveChain(chain); addEvent(chain, {type:'chosen_recipients', recipients, at: nowISO()}); });
 
+  return sendChainTokens(chain);
+}
+
+// 0 when phone may be texted now, else when their quiet hours (or PAUSE) end.
+// The user's own quiet hours/timezone win over the chain's (copied from its schedule).
+function quietUntil(phone, chain){
+  const u = store.getUser(phone) || {};
+  if (u.pausedUntil && clock.now() < u.pausedUntil) return u.pausedUntil;
+  const quiet = u.quietHours || chain.quietHours;
+  const tz = u.timezone || chain.timezone || 'UTC';
+  if (!quiet || !inQuietHours(clock.now(), quiet, tz)) return 0;
+  return quietHoursEnd(clock.now(), quiet, tz);
+}
+
+async function sendChainTokens(chain){
+  const cfg = settingsOf(circleOf(chain));
+  const soloMs = cfg.soloWindowSeconds*1000;
   // Token sessions & neutral SMS
-  for (const r of recipients){
+  const issued = new Set(store.tokensForChain(chain.id).map(t=> t.recipient));
+  for (const r of chain.recipients){
+    if (issued.has(r)) continue;
     const token = genToken();
-    db.data.tokens[token] = {
-      token, chainId: chain.id, recipient: r,
-      sentAt: Date.now(), openedAt: null, used: false,
+    store.saveToken({
+      token, chainId: chain.id, circleId: chain.circleId || DEFAULT_CIRCLE, recipient: r,
+      sentAt: clock.now(), openedAt: null, used: false,
       respondedText: null,
-      deadline: (chain.mode === 'single') ? Date.now() + parseInt(SOLO_WINDOW_SECONDS,10)*1000 : null
-    };
-    await db.write();
+      deadline: null
+    });
     const link = `${BASE_URL.replace(/\/+$/,'')}/open/${token}`;
-    const lead = [pick(CORPUS.arrival)];
-    await sendSMS(r, [...lead, `a whisper waits. open now: ${link}`]).catch(()=>{});
-    chain.events.push({type:'sent', to:r, token, at: nowISO()});
+    const say = voiceFor(r, chain.circleId);
+    const ev = addEvent(chain, {type:'sent', to:r, token, at: nowISO()});
+    await sendSMS(r, [say('corpus.arrival'), say('whisper.waits', { link })], { circleId: chain.circleId, chainId: chain.id, eventId: ev.id });
   }
 
   chain.status = 'awaiting_answers'; chain.awaitingSince = nowISO();
-  await db.write();
-
-  if (chain.mode === 'single') {
-    setTimeout(()=> adjudicateChain(chain.id).catch(console.error),
-      (parseInt(SOLO_WINDOW_SECONDS,10)*1000)+300);
+  if (chain.mode !== 'single' && !chain.closesAt) {
+    chain.closesAt = clock.now() + cfg.openGraceMinutes*60000 + cfg.mirroredWindowSeconds*1000;
   }
+  store.saveChain(chain);
+
+  await scheduleJob('adjudicate_chain', (chain.mode === 'single' ? clock.now()+soloMs : chain.closesAt)+300,
+    { chainId: chain.id }, `adjudicate:${chain.id}`);
 }
 
 // ---------- Open (web) ----------
 app.get('/open/:token', async (req,res)=>{
-  await bootDB();
   const t = req.params.token;
-  const tok = db.data.tokens[t];
-  if (!tok) return res.status(404).send('no whisper.');
+  const tok = store.getToken(t);
+  if (!tok) return res.status(404).send(pageVoice(req)('page.no_whisper'));
 
-  const chain = db.data.chains.find(c=>c.id===tok.chainId);
-  if (!chain) return res.status(404).send('missing chain.');
+  const chain = store.getChain(tok.chainId);
+  if (!chain) return res.status(404).send(pageVoice(req)('page.missing_chain'));
+  const cfg = settingsOf(circleOf(chain));
+  const say = voiceFor(tok.recipient, chain.circleId);
 
-  // mirrored: deadline starts on open (unlock)
-  if (chain.mode === 'mirrored' && !tok.openedAt) {
-    tok.openedAt = Date.now();
-    tok.deadline = tok.openedAt + parseInt(MIRRORED_WINDOW_SECONDS,10)*1000;
-    await db.write();
+  // first open is logged (stats); mirrored/group: deadline starts on open (unlock),
+  // but never runs past the round's close
+  if (!tok.openedAt) {
+    tok.openedAt = clock.now();
+    if (chain.mode !== 'single') tok.deadline = Math.min(tok.openedAt + cfg.mirroredWindowSeconds*1000, roundClosesAt(chain));
+    store.tx(()=>{ store.saveToken(tok); addEvent(chain, {type:'opened', who: tok.recipient, token: t, at: nowISO()}); });
+    liveRefresh(chain.id, tok.token);
+    if (chain.mode !== 'single') {
+      liveNotice(chain, tok.recipient, chain.mode === 'mirrored' ? 'notice.mirror_opened' : 'notice.other_opened');
+    }
   }
-  const remaining = Math.max(0, Math.ceil(((tok.deadline||0) - Date.now())/1000));
+  const remaining = Math.max(0, Math.ceil(((tok.deadline||0) - clock.now())/1000));
   const q = escapeHTML(chain.question);
+  // a follow-up turn shows the thread so far, then dread's new prompt
+  const thread = (tok.turn || 1) > 1 ? threadOf(chain, tok.recipient).map(x=> x.prompt
+    ? `<p style="margin:6px 0"><strong>${escapeHTML(say('page.dread'))}</strong> ${escapeHTML(x.prompt)}</p>`
+    : `<p style="margin:6px 0;color:#9fb4cb">${escapeHTML(say('page.you'))} ${escapeHTML(x.text)}</p>`).join('\n    ') : '';
+  const lines = { expired: say('page.time_expired'), recorded: say('page.recorded') };
 
   res.set('Content-Type','text/html').send(`<!doctype html><html><head>
 <meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
-<title>dread — whisper</title>
+<title>${escapeHTML(say('page.title'))}</title>
 <style>
   body{background:#0b0f14;color:#e6edf3;font-family:system-ui,Segoe UI,Roboto,Inter,sans-serif;padding:24px}
   .box{max-width:720px;margin:40px auto;padding:20px;border:1px solid #1b2633;border-radius:10px;background:#0a131d}
   textarea{width:100%;height:140px;background:#071018;color:#e6edf3;border-radius:8px;padding:10px;border:1px solid #213244}
   button{background:#122235;color:#e6edf3;border:1px solid #213244;border-radius:6px;padding:8px 12px}
+  #v{display:none;margin-top:14px;padding-top:10px;border-top:1px solid #1b2633}
 </style>
 </head><body>
   <div class="box">
     <h3 style="text-transform:lowercase;margin:0 0 8px">dread</h3>
-    <p style="margin:6px 0"><strong>question:</strong><br>${q}</p>
-    <p style="margin:6px 0"><strong>time:</strong> <span id="t">${remaining}</span>s</p>
+    <p style="margin:6px 0"><strong>${escapeHTML(say('page.question'))}</strong><br>${q}</p>
+    ${thread}
+    <p style="margin:6px 0"><strong>${escapeHTML(say('page.time'))}</strong> <span id="t">${remaining}</span>s</p>
     <form method="POST" action="/respond/${t}">
-      <textarea name="answer" required placeholder="answer under pressure…"></textarea>
-      <div style="margin-top:12px"><button type="submit">send</button></div>
+      <textarea id="a" name="answer" required placeholder="${escapeHTML(say('page.placeholder'))}">${escapeHTML(tok.draft || '')}</textarea>
+      <div style="margin-top:12px"><button id="b" type="submit">${escapeHTML(say('page.send'))}</button></div>
     </form>
-    <p style="color:#9fb4cb;margin-top:10px">timer begins on this page (requires unlock). solo rounds are ${parseInt(SOLO_WINDOW_SECONDS,10)}s from arrival even if you never open.</p>
+    <div id="n" style="color:#9fb4cb;margin-top:10px"></div>
+    <div id="v"></div>
+    <p style="color:#9fb4cb;margin-top:10px">${escapeHTML(say('page.timer_note', { seconds: cfg.soloWindowSeconds }))}</p>
   </div>
 <script>
-let t=${remaining}; const el=document.getElementById('t');
-const iv=setInterval(()=>{t--; if(t<0)t=0; el.textContent=t; if(t<=0) clearInterval(iv);},1000);
+// the countdown follows the server's clock and deadline, pushed on /events
+const T=${JSON.stringify(t)}, turn=${tok.turn || 1}, L=${JSON.stringify(lines).replace(/</g,'\\u003c')};
+const el=document.getElementById('t'), box=document.getElementById('a'), btn=document.getElementById('b');
+const notes=document.getElementById('n'), verdict=document.getElementById('v');
+let deadline=${tok.deadline || 'null'}, skew=${clock.now()}-Date.now(), used=${!!tok.used};
+const line=(parent,text)=>{ const p=document.createElement('p'); p.style.margin='4px 0'; p.textContent=text; parent.appendChild(p); };
+function lock(msg){ box.disabled=true; btn.disabled=true; if(msg) line(notes,msg); }
+function tick(){
+  if(deadline==null) return;
+  const s=Math.max(0,Math.ceil((deadline-(Date.now()+skew))/1000)); el.textContent=s;
+  if(s<=0 && !box.disabled) lock(used ? null : L.expired);
+}
+if(used) lock(L.recorded);
+setInterval(tick,250); tick();
+const es=new EventSource('/open/'+T+'/events');
+es.addEventListener('state',e=>{
+  const d=JSON.parse(e.data); skew=d.now-Date.now(); deadline=d.deadline;
+  if(d.turn!==turn) return location.reload();
+  if(d.used && !used){ used=true; lock(L.recorded); }
+  tick();
+});
+es.addEventListener('notice',e=> line(notes, JSON.parse(e.data).text));
+es.addEventListener('verdict',e=>{
+  verdict.textContent=''; for(const l of JSON.parse(e.data).lines) line(verdict,l);
+  verdict.style.display='block'; if(!box.disabled) lock(); es.close();
+});
+let pending;
+box.addEventListener('input',()=>{ clearTimeout(pending); pending=setTimeout(()=> fetch('/open/'+T+'/draft',
+  {method:'POST',headers:{'content-type':'application/json'},body:JSON.stringify({draft:box.value})}),800); });
 </script>
 </body></html>`);
 });
 
+// ---------- Live page (server-sent events) ----------
+// GET /open/:token/events streams what the open page needs while it is up:
+// 'state' (the server's clock and the token's deadline; the page counts down
+// from those and locks at zero), 'notice' (the others in the round opening and
+// answering) and 'verdict' (what the judgement lets this recipient see).
+// Streams live in this process only; a page that reconnects gets the state again.
+const liveStreams = new Map();   // chainId -> Set<{ token, res, timer }>
+const LIVE_PING_MS = 15000;
+const DRAFT_MAX_CHARS = 2000;
+
+function liveSend(res, event, data){ res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`); }
+
+// sends the token's state and pushes it again when its deadline passes
+function liveState(sub){
+  const tok = store.getToken(sub.token);
+  if (!tok) return;
+  clearTimeout(sub.timer);
+  liveSend(sub.res, 'state', { now: clock.now(), deadline: tok.deadline || null, used: !!tok.used, turn: tok.turn || 1 });
+  if (tok.deadline && !tok.used && tok.deadline > clock.now()) {
+    sub.timer = setTimeout(()=> liveState(sub), tok.deadline - clock.now() + 50);
+    sub.timer.unref();
+  }
+}
+
+function liveSubs(chainId){ return [...(liveStreams.get(chainId) || [])]; }
+
+// the state of one token (or every token of the chain) changed
+function liveRefresh(chainId, token = null){
+  for (const sub of liveSubs(chainId)) if (!token || sub.token === token) liveState(sub);
+}
+
+// tell everyone else in the round what `who` just did, each in their own voice
+function liveNotice(chain, who, key, vars){
+  for (const sub of liveSubs(chain.id)) {
+    const tok = store.getToken(sub.token);
+    if (tok && tok.recipient !== who) liveSend(sub.res, 'notice', { text: voiceFor(tok.recipient, chain.circleId)(key, vars) });
+  }
+}
+
+function liveVerdict(chain){
+  for (const sub of liveSubs(chain.id)) {
+    const tok = store.getToken(sub.token);
+    const v = tok && verdictFor(chain, tok.recipient);
+    if (v) liveSend(sub.res, 'verdict', v);
+  }
+}
+
+// what the page may show a recipient once the round is judged: only the
+// answers the verdict revealed, every phone masked but their own
+function verdictFor(chain, who){
+  const adj = chain.adjudication;
+  if (!adj) return null;
+  const say = voiceFor(who, chain.circleId);
+  const name = p => p === who ? say('verdict.you') : mask(p);
+  const shown = new Set(adj.revealed || []);
+  const said = list => (list || []).filter(a=> a.text && shown.has(a.who)).map(a=> say('verdict.said', { mask: name(a.who), text: a.text }));
+  if (adj.mode === 'single') {
+    return { lines: [adj.actor === who && shown.has(who) ? say('verdict.shown_you') : say('verdict.judged_kept')] };
+  }
+  if (adj.mode === 'group') {
+    return { lines: [say('verdict.ordered'), ...adj.ranking.map(a=> say('verdict.rank', { rank: a.rank, mask: name(a.who) })), ...said(adj.ranking)] };
+  }
+  const lead = !adj.winner ? say('verdict.judged') : adj.winner === who ? say('verdict.leaned_you') : say('verdict.leaned', { mask: mask(adj.winner) });
+  return { lines: [lead, ...said(adj.answers)] };
+}
+
+app.get('/open/:token/events', (req,res)=>{
+  const tok = store.getToken(req.params.token);
+  const chain = tok && store.getChain(tok.chainId);
+  if (!chain) return res.status(404).json({error:'no whisper'});
+  res.set({ 'Content-Type':'text/event-stream', 'Cache-Control':'no-cache', 'X-Accel-Buffering':'no' });
+  res.flushHeaders();
+
+  const sub = { token: tok.token, res, timer: null };
+  if (!liveStreams.has(chain.id)) liveStreams.set(chain.id, new Set());
+  liveStreams.get(chain.id).add(sub);
+  const ping = setInterval(()=> res.write(': ping\n\n'), LIVE_PING_MS);
+  ping.unref();
+  req.on('close', ()=>{
+    clearInterval(ping); clearTimeout(sub.timer);
+    const subs = liveStreams.get(chain.id);
+    if (subs) { subs.delete(sub); if (!subs.size) liveStreams.delete(chain.id); }
+  });
+
+  liveState(sub);
+  const v = verdictFor(chain, tok.recipient);
+  if (v) liveSend(res, 'verdict', v);
+});
+
+// autosave from the open page; a draft is never an answer
+app.post('/open/:token/draft', (req,res)=>{
+  const tok = store.getToken(req.params.token);
+  if (!tok) return res.status(404).json({error:'no whisper'});
+  if (tok.used || (tok.deadline && clock.now() > tok.deadline)) return res.status(409).json({error:'answer window closed'});
+  tok.draft = String((req.body||{}).draft || '').slice(0, DRAFT_MAX_CHARS);
+  tok.draftAt = nowISO();
+  store.saveToken(tok);
+  res.status(204).end();
+});
+
 // ---------- Respond (web) ----------
 app.post('/respond/:token', bodyParser.urlencoded({extended:true}), async (req,res)=>{
-  await bootDB();
   const t = req.params.token;
-  const tok = db.data.tokens[t];
-  if (!tok) return res.status(404).send(htmlMsg('no session.'));
-  if (tok.used) return res.send(htmlMsg('dread: session used.'));
+  const tok = store.getToken(t);
+  if (!tok) return res.status(404).send(htmlMsg(pageVoice(req)('page.no_session')));
+  const say = voiceFor(tok.recipient, tok.circleId);
+  if (tok.used) return res.send(htmlMsg(say('page.used')));
 
-  if (tok.deadline && Date.now() > tok.deadline) {
-    tok.used = true; tok.respondedText = null; await db.write();
-    return res.send(htmlMsg('dread: time expired.'));
+  if (tok.deadline && clock.now() > tok.deadline) {
+    tok.used = true; tok.respondedText = null; store.saveToken(tok);
+    return res.send(htmlMsg(say('page.expired')));
   }
   const answer = String(req.body.answer||'').trim();
-  tok.used = true; tok.respondedText = answer; await db.write();
-
-  const chain = db.data.chains.find(c=>c.id===tok.chainId);
-  chain.events.push({type:'answer', who: tok.recipient, text: answer, at: nowISO(), token: t});
-  await db.write();
+  const chain = recordAnswer(tok, answer);
 
-  res.send(htmlMsg('answer recorded. dread is patient.'));
+  // back to the open page either way: it shows the follow-up, or waits for the verdict
+  await followUp(chain, tok, 'web');
+  res.redirect(303, `/open/${t}`);
+  await afterAnswer(chain);
+});
 
-  if (chain.mode === 'mirrored') {
+// single rounds settle on their one answer; mirrored and group rounds once
+// everyone drawn has answered (the sweeper catches the ones that never do).
+// An open follow-up holds the verdict back, see adjudicateChain.
+async function afterAnswer(chain){
+  if (chain.mode !== 'single') {
     const need = chain.recipients.length;
-    const got = chain.events.filter(e=> e.type==='answer' && chain.recipients.includes(e.who)).length;
-    if (got >= need) setTimeout(()=> adjudicateChain(chain.id).catch(console.error), 200);
-  } else {
-    setTimeout(()=> adjudicateChain(chain.id).catch(console.error), 200);
+    const got = new Set(chain.events.filter(e=> e.type==='answer' && chain.recipients.includes(e.who)).map(e=> e.who)).size;
+    if (got < need) return;
+  }
+  await scheduleJob('adjudicate_chain', clock.now()+200, { chainId: chain.id }, `adjudicate:${chain.id}`);
+}
+
+// spends the token, logs the answer and marks a bank question as answered.
+// An answer to a follow-up carries its turn and the follow_up event it replies to.
+function recordAnswer(tok, text){
+  const chain = store.getChain(tok.chainId);
+  tok.used = true; tok.respondedText = text; tok.draft = null;
+  store.tx(()=>{
+    store.saveToken(tok);
+    addEvent(chain, {type:'answer', who: tok.recipient, text, at: nowISO(), token: tok.token,
+      turn: tok.turn || 1, replyTo: tok.followEventId || null});
+    const u = store.getUser(tok.recipient);
+    if (chain.questionId && u) {
+      u.answeredQuestions = [...new Set([...(u.answeredQuestions || []), chain.questionId])];
+      store.saveUser(u);
+    }
+  });
+  liveRefresh(chain.id, tok.token);
+  if (chain.mode !== 'single' && (tok.turn || 1) === 1) {
+    const answered = new Set(chain.events.filter(e=> e.type==='answer').map(e=> e.who)).size;
+    liveNotice(chain, tok.recipient, chain.mode === 'mirrored' ? 'notice.mirror_answered' : 'notice.answered',
+      { n: answered, total: chain.recipients.length });
+  }
+  return chain;
+}
+
+// ---------- Follow-ups ----------
+// After an answer dread may press on: the same token reopens for one more turn
+// with a new short deadline, asked on the open page (web answers) or by SMS
+// (SMS answers). Every turn is an event: the follow_up replies to the answer
+// before it, the next answer replies to the follow_up. Verdicts score the thread.
+function followPrompt(chain, turn, say){
+  if (Math.random() < 0.1) return say('corpus.mirror_rare');
+  return turn === 1 && chain.mode !== 'single' ? say('corpus.mirror_openers') : say('corpus.mirror_follow');
+}
+
+// the follow_up event, or null when dread lets the answer stand
+async function followUp(chain, tok, via){
+  const cfg = settingsOf(circleOf(chain));
+  const turn = tok.turn || 1;
+  if (chain.status !== 'awaiting_answers' || !tok.respondedText) return null;
+  if (turn > cfg.followMaxTurns || Math.random() >= cfg.followChance) return null;
+
+  const answered = chain.events.filter(e=> e.type==='answer' && e.who===tok.recipient).slice(-1)[0];
+  const say = voiceFor(tok.recipient, chain.circleId);
+  const prompt = followPrompt(chain, turn, say);
+  const deadline = clock.now() + cfg.followWindowSeconds*1000;
+  const ev = store.tx(()=>{
+    const e = addEvent(chain, {type:'follow_up', to: tok.recipient, token: tok.token, turn: turn+1, prompt, via,
+      replyTo: answered?.id || null, deadline: new Date(deadline).toISOString(), at: nowISO()});
+    Object.assign(tok, { turn: turn+1, prompt, followEventId: e.id, used: false, respondedText: null, deadline });
+    store.saveToken(tok);
+    return e;
+  });
+  liveRefresh(chain.id, tok.token);
+  if (via === 'sms') {
+    await sendSMS(tok.recipient, [prompt, say('whisper.reply_within', { seconds: cfg.followWindowSeconds })],
+      { circleId: chain.circleId, chainId: chain.id, eventId: ev.id });
+  }
+  return ev;
+}
+
+// ---------- Token clocks ----------
+// A solo whisper's clock starts when the queue hands it to the carrier, not
+// when it was queued: a rate limit or quiet hours can hold it back for minutes.
+// Until then the token has no deadline, and the verdict waits for it.
+async function startSoloClock(msg){
+  const ev = msg.eventId && store.getEvent(msg.eventId);
+  if (!ev || ev.type !== 'sent' || !ev.token) return;
+  const tok = store.getToken(ev.token);
+  const chain = tok && store.getChain(tok.chainId);
+  if (!chain || chain.mode !== 'single' || tok.deadline || tok.used) return;
+  tok.deadline = clock.now() + settingsOf(circleOf(chain)).soloWindowSeconds*1000;
+  store.saveToken(tok);
+  liveRefresh(chain.id, tok.token);
+  await scheduleJob('adjudicate_chain', tok.deadline+300, { chainId: chain.id }, `adjudicate:${chain.id}`);
+}
+
+// the queued message that carries a token's whisper, or null
+function whisperOf(chain, tok){
+  const ev = chain.events.find(e=> e.type==='sent' && e.token===tok.token);
+  return ev ? store.findMessages({ chainId: chain.id, eventId: ev.id })[0] || null : null;
+}
+
+// A mirrored/group whisper has no clock until it is opened, so the round as a
+// whole closes openGraceMinutes (plus one window) after it went out; chains
+// from before closesAt count from when they started waiting.
+function roundClosesAt(chain){
+  if (chain.closesAt) return chain.closesAt;
+  const cfg = settingsOf(circleOf(chain));
+  return Date.parse(chain.awaitingSince || chain.createdAt) + cfg.openGraceMinutes*60000 + cfg.mirroredWindowSeconds*1000;
+}
+
+// true once a token can no longer be answered: used, past its deadline, a solo
+// whisper the queue gave up on, or a mirrored/group one unopened at the close
+function tokenSpent(chain, tok, now = clock.now()){
+  if (tok.used) return true;
+  if (tok.deadline) return tok.deadline < now;
+  if (chain.mode !== 'single') return roundClosesAt(chain) < now;
+  const msg = whisperOf(chain, tok);
+  return !msg || ['failed','undelivered','dropped'].includes(msg.status);
+}
+
+// when to look at a chain again while a token may still be answered, or null:
+// the latest open deadline; for a solo whisper still queued, its send time
+// plus the window; for an unopened mirrored/group one, the round's close
+function holdUntil(chain){
+  const now = clock.now();
+  let until = null;
+  for (const tok of store.tokensForChain(chain.id)) {
+    if (tokenSpent(chain, tok, now)) continue;
+    const at = tok.deadline
+      || (chain.mode === 'single'
+        ? Math.max(now, whisperOf(chain, tok).runAt) + settingsOf(circleOf(chain)).soloWindowSeconds*1000
+        : roundClosesAt(chain));
+    if (at > (until || 0)) until = at;
+  }
+  return until;
+}
+
+// ---------- Blank riddle (decode) ----------
+// A blank carries RIDDLE|||KEYPHRASE|||blankId (blanks from before the id have
+// two parts). Each user keeps blanksSent and blanksFound: a paste texted to any
+// of our numbers counts for whoever texted it, once per blank. A paste on
+// /decode could be anyone's, so it is credited to no one: it is counted per
+// blank in the 'blankWebFinds' meta row instead.
+function readBlank(text){
+  const decoded = decodeInvisible(text);
+  if (!decoded) return null;
+  const [riddle, keyphrase, blankId] = decoded.split('|||');
+  if (!riddle || !keyphrase) return null;
+  return { riddle, keyphrase, blankId: blankId || null };
+}
+
+// append to one of the user's blank logs (a user row exists for anyone we text)
+function noteBlank(phone, list, entry){
+  const u = store.getUser(phone);
+  if (!u) return;
+  u[list] = [...(u[list] || []), entry];
+  store.saveUser(u);
+}
+
+function blankSent(blankId){
+  if (!blankId) return null;
+  for (const u of store.listUsers()) {
+    const b = (u.blanksSent || []).find(x=> x.blankId === blankId);
+    if (b) return { ...b, to: u.phone };
+  }
+  return null;
+}
+
+// records the find and returns the blank, or null when nothing is hidden in text
+function foundBlank(text, { phone = null, via, circleId = null }){
+  const blank = readBlank(text);
+  if (!blank) return null;
+  const sent = blankSent(blank.blankId);
+  if (!phone) {
+    const finds = store.getMeta('blankWebFinds') || {};
+    const key = blank.blankId || '';
+    const f = finds[key] || { blankId: blank.blankId, circleId: sent?.circleId || circleId, pastes: 0, firstAt: nowISO() };
+    finds[key] = { ...f, pastes: f.pastes + 1, lastAt: nowISO() };
+    store.setMeta('blankWebFinds', finds);
+    return blank;
+  }
+  const u = store.getUser(phone);
+  if (u && !(u.blanksFound || []).some(f=> f.blankId === blank.blankId)) {
+    noteBlank(phone, 'blanksFound', { blankId: blank.blankId, via, circleId: sent?.circleId || circleId,
+      sentTo: sent && sent.to !== phone ? sent.to : undefined, at: nowISO() });
   }
+  return blank;
+}
+
+function decodePage(say, inner){
+  return `<!doctype html><html><head>
+<meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${escapeHTML(say('decode.title'))}</title>
+<style>
+  body{background:#0b0f14;color:#e6edf3;font-family:system-ui,Segoe UI,Roboto,Inter,sans-serif;padding:24px}
+  .box{max-width:720px;margin:40px auto;padding:20px;border:1px solid #1b2633;border-radius:10px;background:#0a131d}
+  textarea{width:100%;height:140px;background:#071018;color:#e6edf3;border-radius:8px;padding:10px;border:1px solid #213244}
+  button{background:#122235;color:#e6edf3;border:1px solid #213244;border-radius:6px;padding:8px 12px}
+</style>
+</head><body>
+  <div class="box">
+    <h3 style="text-transform:lowercase;margin:0 0 8px">dread</h3>
+    ${inner}
+  </div>
+</body></html>`;
+}
+
+app.get('/decode', (req,res)=>{
+  const say = pageVoice(req);
+  res.set('Content-Type','text/html').send(decodePage(say, `<form method="POST" action="/decode">
+      <textarea name="message" required placeholder="${escapeHTML(say('decode.placeholder'))}"></textarea>
+      <div style="margin-top:12px"><button type="submit">${escapeHTML(say('decode.button'))}</button></div>
+    </form>`));
+});
+
+app.post('/decode', bodyParser.urlencoded({extended:true}), (req,res)=>{
+  const say = pageVoice(req);
+  const blank = foundBlank(String(req.body.message || ''), { via:'web' });
+  res.set('Content-Type','text/html').send(decodePage(say, blank
+    ? `<p style="margin:6px 0">${escapeHTML(blank.riddle)}</p>
+    <p style="margin:6px 0"><strong>${escapeHTML(say('decode.phrase'))}</strong> ${escapeHTML(blank.keyphrase)}</p>`
+    : `<p style="text-transform:lowercase">${escapeHTML(say('decode.nothing'))}</p>`));
 });
 
+// ---------- Webhook guard ----------
+// Twilio signs every webhook against the public URL it was configured with,
+// so verify against BASE_URL + path, not whatever host the proxy handed us.
+const SID_KEEP_MS = 48*3600*1000;
+
+function webhookURL(req){ return BASE_URL.replace(/\/+$/,'') + req.originalUrl; }
+
+function logRejected(req, reason){
+  const b = req.body || {};
+  console.warn(`rejected ${req.method} ${req.originalUrl}: ${reason}`,
+    { ip: req.ip, from: b.From ? mask(String(b.From)) : null, sid: b.MessageSid || null });
+}
+
+// A MessageSid is remembered only once its message was handled, so Twilio's
+// retry after a failure (our 500, a timeout) runs it again. A retry arriving
+// while the first attempt is still running is told to come back later.
+const inboundBusy = new Set();   // sids being handled right now, this process
+
+function requireTwilioSignature(req,res,next){
+  const check = transport.verifyInbound(req, webhookURL(req));
+  if (!check.ok) { logRejected(req, check.reason); return res.status(403).send('<Response></Response>'); }
+  next();
+}
+
+// ---------- SMS commands ----------
+// One line per keyword. open: answered for anyone, consented or not — carriers
+// require STOP/START/HELP to always work, and anyone may have their record erased.
+// Everything else needs the oath first. Matching ignores case and extra spaces.
+// run(ctx) gets { from, args, user, circle, reply, say }; reply() answers from the
+// number that was texted, say() is the texter's voice. Keywords stay English in
+// every locale.
+const SMS_COMMANDS = [
+  { name:'stop',    open:true, re:/^(stop|unsubscribe|quit|cancel)\b/i, run: cmdStop },
+  { name:'start',   open:true, re:/^(start|unstop)$/i,                  run: cmdStart },
+  { name:'help',    open:true, re:/^(help|info)$/i,                     run: cmdHelp },
+  { name:'delete',  open:true, re:/^delete me$/i,                       run: cmdDelete },
+  { name:'data',    open:true, re:/^my data$/i,                         run: cmdData },
+  { name:'lang',    open:true, re:/^lang(?:uage)?(?: (\S+))?$/i,         run: cmdLang },
+  { name:'status',  re:/^status$/i,                                     run: cmdStatus },
+  { name:'alias',   re:/^alias(?: (.+))?$/i,                            run: cmdAlias },
+  { name:'pause',   re:/^pause(?: (.+))?$/i,                            run: cmdPause },
+  { name:'resume',  re:/^(resume|unpause)$/i,                           run: cmdResume },
+  { name:'privacy', re:/^privacy$/i,                                    run: cmdPrivacy },
+  { name:'toggle',  re:/^(reveal|mirror) (on|off)$/i,                   run: cmdToggle },
+  { name:'ask',     bearer:true, re:/^ask (.+)$/i,                      run: cmdAsk },
+  { name:'vote',    bearer:true, re:/^vote (reveal|keep)$/i,            run: cmdVote }
+];
+
+// { name, open, bearer, run, args } for the first matching keyword, else null
+function parseCommand(body){
+  const text = String(body || '').trim().replace(/\s+/g, ' ');
+  for (const c of SMS_COMMANDS) {
+    const m = text.match(c.re);
+    if (m) return { ...c, args: m.slice(1) };
+  }
+  return null;
+}
+
+const ASK_MAX_CHARS = 280;
+const ASK_MAX_DELAY_MS = 24*3600*1000;
+const PAUSE_DEFAULT_MS = 24*3600*1000;
+const PAUSE_MAX_MS = 30*24*3600*1000;
+const ALIAS_RE = /^[\p{L}\p{N} ._'-]{1,32}$/u;
+
+async function cmdStop({ from, reply, say }){
+  await setOptOut(from);
+  await reply(say('command.stop'), { always: true });
+}
+
+// re-subscribe: only someone who once took the oath gets their consent back
+async function cmdStart({ from, reply, say }){
+  const u = await ensureUser(from);
+  if (u.consented && !u.optedOut) { await reply(say('command.start_already')); return; }
+  if (!u.consentAt) { await reply(say('command.start_nothing'), { always: true }); return; }
+  u.consented = true; u.optedOut = false; u.resubscribedAt = nowISO();
+  logConsent(u, 'start', true);
+  store.saveUser(u);
+  await reply(say('command.start'));
+}
+
+async function cmdHelp({ from, circle, reply, say }){
+  const mantle = await currentMantle(circle.id);
+  await reply(mantle && mantle.holder === from ? [say('command.help'), say('command.help_bearer')] : say('command.help'), { always: true });
+}
+
+async function cmdDelete({ from, reply, say }){
+  forgetUser(from);
+  await reply(say('command.deleted'));
+}
+
+// MY DATA: a private link to everything stored about this number
+async function cmdData({ from, reply, say }){
+  const link = grantExport(from);
+  await reply(say('command.data', { link, hours: EXPORT_LINK_HOURS }));
+}
+
+// LANG shows the locales dread speaks, LANG <code> picks one (answered in it).
+// Open like HELP, so someone can read the oath in their own language first.
+async function cmdLang({ from, args: [code], reply, say }){
+  const locales = voice.locales().join(', ');
+  if (!code) return reply(say('command.lang', { name: voice.name(localeOf(from)), locales }));
+  const want = code.toLowerCase();
+  if (!voice.has(want) && !voice.has(want.split('-')[0])) return reply(say('command.lang_unknown', { code: want, locales }));
+  const u = await ensureUser(from);
+  u.locale = want;   // kept as asked: es-mx reads es until an es-mx file exists
+  store.saveUser(u);
+  await reply(voice.line(voice.resolve(want), 'command.lang_set', { name: voice.name(want) }));
+}
+
+async function cmdStatus({ from, user, circle, reply, say }){
+  const mantle = await currentMantle(circle.id);
+  const pending = pendingWhispers(from, circle.id);
+  const paused = user.pausedUntil && clock.now() < user.pausedUntil;
+  const bearer = mantle && mantle.holder === from;
+  await reply([
+    bearer ? say('status.bearer', { until: mantle.expiresAt.slice(0,16).replace('T',' '),
+      left: Math.max(0, settingsOf(circle).mantleAsksPerDay - asksToday(circle.id, from)) })
+      : mantle ? say('status.worn', { alias: mantle.alias }) : say('status.unworn'),
+    !pending.length ? say('status.nothing_waits') : pending.length === 1 ? say('status.waits_one') : say('status.waits', { n: pending.length }),
+    paused ? say('status.paused', { until: new Date(user.pausedUntil).toISOString().slice(0,16).replace('T',' ') }) : say('status.choosable')
+  ]);
+}
+
+// ASK [IN <duration>] <question>: the bearer's own whisper to the rest of the
+// circle, at the usual random delay unless they pick one. IN followed by a
+// number is always a delay ("in the dark…" is a question); zero or no unit
+// dread knows is refused rather than asked as the question.
+async function cmdAsk({ from, args: [text], circle, reply, say }){
+  const cfg = settingsOf(circle);
+  const timed = text.match(/^in (\d\S*) (.+)$/i);
+  const delay = timed ? parseDuration(timed[1]) : null;
+  if (timed && !delay) return reply(say('ask.when'));
+  if (delay > ASK_MAX_DELAY_MS) return reply(say('ask.too_late'));
+  const question = (timed ? timed[2] : text).trim();
+  if (question.length > ASK_MAX_CHARS) return reply(say('ask.too_long', { max: ASK_MAX_CHARS }));
+
+  const used = asksToday(circle.id, from);
+  if (used >= cfg.mantleAsksPerDay) {
+    logMantle(circle.id, from, 'ask_refused', { question, reason: 'daily limit' });
+    return reply(say('ask.enough'));
+  }
+  const others = (await circleMembers(circle)).filter(p=> p !== from);
+  const delayMs = delay || Math.round(60000 + Math.random()*14*60000);
+  const chain = others.length ? await createChain({ circleId: circle.id, question, participants: others, delayMs, extra: { askedBy: from } }) : null;
+  if (!chain) return reply(say('ask.nobody'));
+  logMantle(circle.id, from, 'ask', { question, chainId: chain.id, scheduledAt: new Date(chain.scheduledAt).toISOString() });
+  const left = cfg.mantleAsksPerDay - used - 1;
+  await reply([delay ? say('ask.later', { delay: timed[1].toLowerCase() }) : say('ask.soon'),
+    left === 1 ? say('ask.left_one') : say('ask.left', { n: left })]);
+}
+
+// VOTE REVEAL / VOTE KEEP settles the oldest verdict waiting on this bearer
+async function cmdVote({ from, args: [choice], circle, reply, say }){
+  const now = clock.now();
+  const chain = store.listChains({ status:'awaiting_answers' })
+    .filter(c=> (c.circleId || DEFAULT_CIRCLE) === circle.id && c.revealVote && c.revealVote.by === from
+      && !c.revealVote.choice && now < c.revealVote.deadline)
+    .sort((a,b)=> a.revealVote.deadline - b.revealVote.deadline)[0];
+  if (!chain) return reply(say('vote.none'));
+  chain.revealVote.choice = choice.toLowerCase();
+  chain.revealVote.votedAt = nowISO();
+  store.tx(()=>{
+    store.saveChain(chain);
+    logMantle(circle.id, from, 'vote', { chainId: chain.id, choice: chain.revealVote.choice });
+  });
+  await scheduleJob('adjudicate_chain', now, { chainId: chain.id }, `adjudicate:${chain.id}`);
+  await reply(say(chain.revealVote.choice === 'reveal' ? 'vote.reveal' : 'vote.keep'));
+}
+
+// unanswered tokens on this circle's chains still collecting answers
+function pendingWhispers(phone, circleId){
+  return store.tokensForRecipient(phone).filter(t=> {
+    if (t.used || (t.deadline && clock.now() > t.deadline)) return false;
+    if ((t.circleId || DEFAULT_CIRCLE) !== circleId) return false;
+    const c = store.getChain(t.chainId);
+    return c && c.status === 'awaiting_answers';
+  });
+}
+
+async function cmdAlias({ from, args: [name], user, reply, say }){
+  if (!name) {
+    await reply(user.alias ? say('alias.known', { alias: user.alias }) : say('alias.none'));
+    return;
+  }
+  const alias = name.trim();
+  if (!ALIAS_RE.test(alias)) { await reply(say('alias.bad')); return; }
+  user.alias = alias;
+  store.saveUser(user);
+  // a bearer renaming themselves renames the mantle too, in every circle
+  for (const c of store.listCircles()) {
+    const mantle = await currentMantle(c.id);
+    if (mantle && mantle.holder === from) store.setMeta(circleKey('mantle', c.id), { ...mantle, alias });
+  }
+  await reply(say('alias.set', { alias }));
+}
+
+// "24h", "3d", "90m", "12" (hours); null when unreadable
+function parseDuration(s){
+  const m = String(s || '').trim().match(/^(\d+)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?)?$/i);
+  if (!m) return null;
+  const unit = { m: 60*1000, h: 3600*1000, d: 24*3600*1000 }[(m[2] || 'h')[0].toLowerCase()];
+  return parseInt(m[1],10) * unit;
+}
+
+// paused users are passed over when a chain fires, like quiet hours
+async function cmdPause(ctx){
+  const { args: [arg], user, reply, say } = ctx;
+  if (arg && /^off$/i.test(arg.trim())) return cmdResume(ctx);
+  const ms = arg ? parseDuration(arg) : PAUSE_DEFAULT_MS;
+  if (!ms) { await reply(say('pause.how')); return; }
+  user.pausedUntil = clock.now() + Math.min(ms, PAUSE_MAX_MS);
+  store.saveUser(user);
+  await reply(say('pause.set', { until: new Date(user.pausedUntil).toISOString().slice(0,16).replace('T',' ') }));
+}
+
+async function cmdResume({ user, reply, say }){
+  delete user.pausedUntil;
+  store.saveUser(user);
+  await reply(say('pause.resumed'));
+}
+
+async function cmdPrivacy({ user, reply, say }){
+  const pv = privacyOf(user);
+  const state = on => say(on ? 'privacy.on' : 'privacy.off');
+  await reply(say('privacy.settings', { reveal: state(pv.reveal), mirror: state(pv.mirror) }));
+}
+
+async function cmdToggle({ from, args, reply, say }){
+  const [key, val] = args.map(a=> a.toLowerCase());
+  await setPrivacy(from, key, val === 'on');
+  await reply(say(`privacy.${key}_${val}`));
+}
+
+// DELETE ME: drop the user row, their tokens and messages, every chain event naming them,
+// and their place in chains, verdicts, schedules, brackets, circles and mantles. Chains
+// themselves stay so the rest of the circle's history still adds up.
+function forgetUser(phone){
+  store.tx(()=>{
+    const chainIds = new Set();
+    for (const t of store.tokensForRecipient(phone)) { chainIds.add(t.chainId); store.deleteToken(t.token); }
+    for (const c of store.listChains()) {
+      if ((c.participants || []).includes(phone) || (c.recipients || []).includes(phone)
+        || c.askedBy === phone || (c.revealVote && c.revealVote.by === phone)) chainIds.add(c.id);
+    }
+    for (const id of chainIds) {
+      const chain = store.getChain(id);
+      if (!chain) continue;
+      for (const ev of chain.events) {
+        if (ev.who === phone || ev.to === phone) { store.deleteEvent(ev.id); continue; }
+        const named = (ev.recipients || []).includes(phone) || Object.values(ev.delivery || {}).some(d=> d.to === phone);
+        if (!named) continue;
+        if (ev.recipients) ev.recipients = ev.recipients.filter(p=> p !== phone);
+        if (ev.delivery) ev.delivery = Object.fromEntries(Object.entries(ev.delivery).filter(([, d])=> d.to !== phone));
+        store.saveEvent(ev);
+      }
+      chain.participants = (chain.participants || []).filter(p=> p !== phone);
+      if (chain.recipients) chain.recipients = chain.recipients.filter(p=> p !== phone);
+      if (chain.askedBy === phone) chain.askedBy = null;
+      if (chain.revealVote && chain.revealVote.by === phone) delete chain.revealVote;
+      const adj = chain.adjudication;
+      if (adj) {
+        if (adj.ranking) adj.ranking = adj.ranking.filter(a=> a.who !== phone);
+        if (adj.actor === phone) { adj.actor = null; adj.answer = null; adj.turns = []; }
+        if (adj.winner === phone) adj.winner = null;
+        if (adj.loser === phone) adj.loser = null;
+        if (adj.answers) adj.answers = adj.answers.filter(a=> a.who !== phone);
+        if (adj.revealed) adj.revealed = adj.revealed.filter(p=> p !== phone);
+      }
+      store.saveChain(chain);
+    }
+    for (const b of store.listBrackets()) {
+      const drop = list => (list || []).filter(p=> p !== phone);
+      if (!b.entrants.includes(phone)) continue;
+      store.saveBracket({ ...b, entrants: drop(b.entrants), alive: drop(b.alive),
+        champion: b.champion === phone ? null : b.champion,
+        history: (b.history || []).map(h=> ({ ...h, survivors: drop(h.survivors) })) });
+    }
+    for (const s of store.listSchedules()) {
+      if ((s.participants || []).includes(phone)) store.saveSchedule({ ...s, participants: s.participants.filter(p=> p !== phone) });
+    }
+    for (const m of store.findMessages({ to: phone })) store.deleteMessage(m.id);
+    for (const a of store.listAudit()) if (a.holder === phone) store.deleteAudit(a.id);
+    for (const u of store.listUsers()) {
+      if (!(u.blanksFound || []).some(f=> f.sentTo === phone)) continue;
+      u.blanksFound = u.blanksFound.map(({ sentTo, ...f })=> sentTo === phone ? f : { ...f, sentTo });
+      store.saveUser(u);
+    }
+    for (const c of store.listCircles()) {
+      if (c.members && c.members.includes(phone)) store.saveCircle({ ...c, members: c.members.filter(p=> p !== phone) });
+      const mantle = store.getMeta(circleKey('mantle', c.id));
+      if (mantle && mantle.holder === phone) store.setMeta(circleKey('mantle', c.id), null);
+    }
+    store.deleteUser(phone);
+  });
+}
+
 // ---------- Inbound SMS (Twilio webhook) ----------
-app.post('/sms', async (req,res)=>{
-  await bootDB();
-  const from = (req.body.From||'').trim();
-  const body = (req.body.Body||'').trim();
+app.post('/sms', requireTwilioSignature, async (req,res)=>{
+  const msg = transport.parseInbound(req);
+  if (!msg.sid) { logRejected(req, 'missing MessageSid'); return res.status(400).send('<Response></Response>'); }
+  // 200 on duplicates so Twilio stops retrying, but never act twice
+  if (store.seenSid(msg.sid)) { logRejected(req, 'duplicate MessageSid'); return res.send('<Response></Response>'); }
+  if (inboundBusy.has(msg.sid)) { logRejected(req, 'MessageSid still being handled'); return res.status(503).send('<Response></Response>'); }
+  inboundBusy.add(msg.sid);
+  try {
+    await handleInbound(msg);
+    store.rememberSid(msg.sid, clock.now());
+  } catch (e) {
+    console.error(`inbound ${msg.sid} failed:`, e);
+    return res.status(500).send('<Response></Response>');
+  } finally {
+    inboundBusy.delete(msg.sid);
+  }
+  res.send('<Response></Response>');
+});
+
+// Delivery status callbacks for messages we sent (statusCallback on send)
+app.post('/sms/status', requireTwilioSignature, (req,res)=>{
+  const st = transport.parseStatus(req);
+  if (!st.sid || !st.status) { logRejected(req, 'missing MessageSid/MessageStatus'); return res.status(400).end(); }
+  const msg = store.messageBySid(st.sid);
+  if (msg) recordDelivery(msg, st.status, st.errorCode);
+  res.status(204).end();
+});
+
+// Shared by POST /sms and the local transport's inject()
+async function handleInbound({ from, to, body }){
   const lower = body.toLowerCase();
+  const circle = circleForNumber(to);
+  const reply = (lines, opts) => sendSMS(from, lines, { circleId: circle.id, ...opts });
+  const say = voiceFor(from, circle.id);
+  const cmd = parseCommand(body);
 
-  // STOP / OPT OUT (industry standard)
-  if (/^(stop|unsubscribe|quit|cancel)\b/i.test(lower)) {
-    await setOptOut(from);
-    try { await sendSMS(from, 'you have left the circle.'); } catch {}
-    return res.send('<Response></Response>');
-  }
+  // STOP / START / HELP / DELETE ME / MY DATA / LANG work for everyone
+  if (cmd && cmd.open) return cmd.run({ from, args: cmd.args, circle, reply, say });
 
   // Consent gate
   const user = await ensureUser(from);
   if (!user.consented) {
-    if (lower === 'i consent to dread') {
-      await setConsent(from, true);
-      try { await sendSMS(from, 'you may be marked.'); } catch {}
+    // optional trailing 1-5 caps how intense the bank questions they draw may be
+    const oath = lower.match(/^i consent to dread(?:\s+([1-5]))?$/);
+    if (oath) {
+      await setConsent(from, true, oath[1] ? parseInt(oath[1],10) : null);
+      await reply(say('consent.marked'));
     } else {
-      try { await sendSMS(from, ['you have been marked for possible whispers.', 'reply exactly: I CONSENT TO DREAD']); } catch {}
+      await reply(say('consent.prompt'));
     }
-    return res.send('<Response></Response>');
-  }
-  if (user.optedOut) return res.send('<Response></Response>');
-
-  // Mantle contest running?
-  if (db.data.phraseCall && db.data.phraseCall.active) {
-    if (body.trim().toLowerCase() === String(KEYPHRASE).toLowerCase()) {
-      db.data.phraseCall.active = false; db.data.phraseCall.endedAt = nowISO();
-      await setMantle(from);
-      try { await sendSMS(from, 'you wear the name. seven days.'); } catch {}
-      const others = Object.keys(db.data.users).filter(p => db.data.users[p]?.consented && p !== from);
-      for (const p of others) { try { await sendSMS(p, 'dread has chosen a bearer.'); } catch {} }
-      await db.write();
-      return res.send('<Response></Response>');
+    return;
+  }
+  if (user.optedOut) return;
+
+  // ASK and VOTE belong to the bearer; from anyone else the text goes on as an answer
+  const mantle = await currentMantle(circle.id);
+  if (cmd && (!cmd.bearer || mantle?.holder === from)) return cmd.run({ from, args: cmd.args, user, circle, mantle, reply, say });
+
+  // a blank pasted back: whatever else the text says, it is a find
+  const blank = foundBlank(body, { phone: from, via:'sms', circleId: circle.id });
+  if (blank) return reply(say('blank.found', { riddle: blank.riddle }));
+
+  // Mantle contest running in this circle? Only its members may answer.
+  const phraseKey = circleKey('phraseCall', circle.id);
+  const phraseCall = store.getMeta(phraseKey);
+  if (phraseCall && phraseCall.active && isMember(circle, from)) {
+    if (body.trim().toLowerCase() === String(settingsOf(circle).keyphrase).toLowerCase()) {
+      phraseCall.active = false; phraseCall.endedAt = nowISO();
+      store.setMeta(phraseKey, phraseCall);
+      await setMantle(circle.id, from);
+      await reply(say('mantle.won', { span: mantleSpan(settingsOf(circle).mantleHours, say) }));
+      const others = (await circleMembers(circle)).filter(p => p !== from);
+      for (const p of others) { await sendSMS(p, voiceFor(p, circle.id)('mantle.chosen'), { circleId: circle.id }); }
+      return;
     }
   }
 
   // Solo: allow SMS answers during 40s window
-  const tokenKey = findValidSoloToken(from);
-  if (tokenKey) {
-    const tok = db.data.tokens[tokenKey];
-    tok.used = true; tok.respondedText = body; await db.write();
-    const chain = db.data.chains.find(c=>c.id===tok.chainId);
-    chain.events.push({type:'answer', who: tok.recipient, text: body, at: nowISO(), token: tokenKey});
-    await db.write();
-    try { await sendSMS(from, 'answer recorded.'); } catch {}
-    setTimeout(()=> adjudicateChain(chain.id).catch(console.error), 200);
-    return res.send('<Response></Response>');
+  const tok = findValidSoloToken(from, circle.id);
+  if (tok) {
+    const chain = recordAnswer(tok, body);
+    if (!await followUp(chain, tok, 'sms')) await reply(say('whisper.recorded'));
+    await afterAnswer(chain);
+    return;
   }
 
   // Soft default
-  try { await sendSMS(from, pick(CORPUS.normal)); } catch {}
-  return res.send('<Response></Response>');
-});
+  await reply(say('corpus.normal'));
+}
+transport.onInbound(handleInbound);
 
-function findValidSoloToken(phone){
-  const entries = Object.entries(db.data.tokens || {});
-  for (let i=entries.length-1; i>=0; i--){
-    const [tk, ob] = entries[i];
-    if (ob.recipient === phone && ob.deadline && !ob.used && Date.now() <= ob.deadline) return tk;
+// an SMS answer only counts on the number of the circle that sent the whisper
+function findValidSoloToken(phone, circleId){
+  const toks = store.tokensForRecipient(phone);
+  for (let i=toks.length-1; i>=0; i--){
+    const ob = toks[i];
+    if ((ob.circleId || DEFAULT_CIRCLE) !== circleId) continue;
+    if (ob.deadline && !ob.used && clock.now() <= ob.deadline) return ob;
   }
   return null;
 }
 
 // ---------- Adjudication ----------
-async function adjudicateChain(chainId){
-  await bootDB();
-  const chain = db.data.chains.find(c=>c.id===chainId);
-  if (!chain || chain.status === 'adjudicated') return;
+// A bracket heat moves its bracket on even when the verdict was already in
+// (a crash between the two): advanceBracket is a no-op until the round is done.
+// A token still open (a follow-up, or a solo whisper the queue has yet to send)
+// pushes the verdict past its deadline, and so does a bearer's VOTE still to
+// come (unless an admin forces the verdict).
+async function adjudicateChain(chainId, { force = false } = {}){
+  const chain = store.getChain(chainId);
+  if (!chain) return;
+  if (chain.status !== 'adjudicated') {
+    const until = holdUntil(chain);
+    if (until) return scheduleJob('adjudicate_chain', until+300, { chainId }, `adjudicate:${chainId}`);
+    if (!force && await awaitVote(chain)) return;
+    await judgeChain(chain);
+    liveVerdict(store.getChain(chainId));
+  }
+  if (chain.bracketId) await advanceBracket(chain.bracketId);
+}
+
+// true while the verdict waits on the bearer. They are asked once per chain,
+// never about a round they were drawn into or one nobody answered.
+async function awaitVote(chain){
+  const vote = chain.revealVote;
+  if (vote) {
+    if (vote.choice || clock.now() >= vote.deadline) return false;
+    await scheduleJob('adjudicate_chain', vote.deadline, { chainId: chain.id }, `adjudicate:${chain.id}`);
+    return true;
+  }
+  const windowS = settingsOf(circleOf(chain)).mantleVoteSeconds;
+  const mantle = await currentMantle(chain.circleId);
+  if (!windowS || !mantle || chain.recipients.includes(mantle.holder)) return false;
+  if (!chain.events.some(e=> e.type==='answer')) return false;
+
+  chain.revealVote = { by: mantle.holder, askedAt: nowISO(), deadline: clock.now()+windowS*1000, choice: null };
+  const ev = store.tx(()=>{ store.saveChain(chain); return addEvent(chain, {type:'vote_requested', to: mantle.holder, at: nowISO()}); });
+  await sendSMS(mantle.holder, voiceFor(mantle.holder, chain.circleId)('vote.request', { question: chain.question, seconds: windowS }),
+    { circleId: chain.circleId, chainId: chain.id, eventId: ev.id });
+  await scheduleJob('adjudicate_chain', chain.revealVote.deadline, { chainId: chain.id }, `adjudicate:${chain.id}`);
+  return true;
+}
+
+// the bearer's vote when one was cast: 'reveal' | 'keep' | null (dread's whim)
+function voteOf(chain){ return (chain.revealVote && chain.revealVote.choice) || null; }
+
+async function judgeChain(chain){
+  if (chain.mode === 'group') return judgeGroup(chain);
 
   if (chain.mode === 'single') {
-    const ans = chain.events.filter(e=> e.type==='answer' && chain.recipients.includes(e.who)).slice(-1)[0];
-    chain.adjudication = { mode:'single', actor: ans?.who || null, answer: ans?.text || null };
-    chain.status = 'adjudicated'; chain.events.push({type:'adjudicated', at: nowISO()}); await db.write();
+    const last = chain.events.filter(e=> e.type==='answer' && chain.recipients.includes(e.who)).slice(-1)[0];
+    const ans = last && threadAnswer(chain, last.who);
+    chain.adjudication = { mode:'single', actor: ans?.who || null, answer: ans?.text || null, turns: ans?.turns || [], vote: voteOf(chain) };
+    chain.status = 'adjudicated';
+    const verdict = store.tx(()=>{ store.saveChain(chain); return addEvent(chain, {type:'adjudicated', at: nowISO()}); });
+    const ref = { circleId: chain.circleId, chainId: chain.id, eventId: verdict.id };
 
-    const willReveal = Math.random() < parseFloat(REVEAL_PROB);
-    if (willReveal && ans && ans.text) {
-      const targets = chain.participants.filter(p=> p !== ans.who);
+    const vote = voteOf(chain);
+    const willReveal = vote ? vote === 'reveal' : Math.random() < settingsOf(circleOf(chain)).revealProb;
+    if (willReveal && ans && ans.text && mayReveal(ans.who)) {
+      const targets = (await audienceOf(chain)).filter(p=> p !== ans.who);
       const t = targets.length ? pick(targets) : null;
       if (t) {
-        await sendSMS(t, [`${mask(ans.who)} → ${mask(t)}: "${ans.text}"`, 'dread has judged the exposure.']).catch(()=>{});
+        await sendSMS(t, voiceFor(t, chain.circleId)('verdict.exposure', { mask: mask(ans.who), to: mask(t), text: ans.text }), ref);
+        chain.adjudication.revealed = [ans.who];
+        store.saveChain(chain);
       }
     } else {
-      if (ans?.who) await sendSMS(ans.who, pick(CORPUS.closers)).catch(()=>{});
+      if (ans?.who) await sendSMS(ans.who, voiceFor(ans.who, chain.circleId)('corpus.closers'), ref);
     }
     return;
   }
 
   // mirrored
-  const answers = chain.events
-    .filter(e=> e.type==='answer' && chain.recipients.includes(e.who))
-    .map(a=>({who:a.who, text:a.text||'', score: scoreExposure(a.text||'') }));
-
-  for (const r of chain.recipients) {
-    if (!answers.some(a=>a.who===r)) answers.push({who:r, text:'', score:0});
-  }
-  answers.sort((a,b)=> b.score - a.score);
+  const scorer = scorerFor(circleOf(chain));
+  const answers = scoredAnswers(chain, scorer);
   const winner = answers[0], loser = answers[1] || null;
 
-  chain.adjudication = { mode:'mirrored', winner: winner.who, loser: loser?.who || null, answers };
+  chain.adjudication = { mode:'mirrored', scorer: scorer.name, winner: winner?.who || null, loser: loser?.who || null, answers, vote: voteOf(chain) };
   chain.status = 'adjudicated';
-  chain.events.push({type:'adjudicated', at: nowISO()});
-  await db.write();
+  const verdict = store.tx(()=>{ store.saveChain(chain); return addEvent(chain, {type:'adjudicated', at: nowISO()}); });
+  if (!winner) return;   // everyone it went to has since been forgotten
+  const ref = { circleId: chain.circleId, chainId: chain.id, eventId: verdict.id };
 
   // announce verdict
-  const line = `${mask(winner.who)} leaned nearest the abyss.`;
-  for (const p of chain.participants) { await sendSMS(p, line).catch(()=>{}); }
+  const audience = await audienceOf(chain);
+  const voices = new Map(audience.map(p=> [p, voiceFor(p, chain.circleId)]));
+  for (const p of audience) { await sendSMS(p, voices.get(p)('verdict.leaned', { mask: mask(winner.who) }), ref); }
 
-  // capricious reveal
-  const r = Math.random();
+  // capricious reveal unless the bearer voted; answers of anyone without
+  // REVEAL ON stay sealed either way
+  const said = (a, say) => say('verdict.said', { mask: mask(a.who),
+    text: !a.text ? say('verdict.no_answer') : mayReveal(a.who) ? a.text : say('verdict.kept') });
+  const vote = voteOf(chain);
+  const r = vote === 'reveal' ? 0 : vote === 'keep' ? 1 : Math.random();
+  let revealed = [];
   if (r < 0.55) {
-    const lines = answers.map(a=> `— ${mask(a.who)}: "${a.text || '[no answer]'}"`);
-    for (const p of chain.participants) { await sendSMS(p, lines).catch(()=>{}); }
-  } else if (r < 0.85) {
-    for (const p of chain.participants) {
-      await sendSMS(p, [`— ${mask(winner.who)}: "${winner.text || '[no answer]'}"`, 'dread withheld the other half.']).catch(()=>{}); 
+    for (const p of audience) { await sendSMS(p, answers.map(a=> said(a, voices.get(p))), ref); }
+    revealed = answers.filter(a=> a.text && mayReveal(a.who)).map(a=> a.who);
+  } else if (r < 0.85 && (!winner.text || mayReveal(winner.who))) {
+    for (const p of audience) {
+      await sendSMS(p, [said(winner, voices.get(p)), voices.get(p)('verdict.withheld')], ref);
     }
+    revealed = winner.text ? [winner.who] : [];
   } else {
-    for (const p of chain.participants) { await sendSMS(p, pick(CORPUS.closers)).catch(()=>{}); }
+    for (const p of audience) { await sendSMS(p, voices.get(p)('corpus.closers'), ref); }
+  }
+  chain.adjudication.revealed = revealed;
+  store.saveChain(chain);
+}
+
+// Group: the full ranking (equal scores share a rank) goes to the audience,
+// then the reveal policy picks whose answers follow. As everywhere, only
+// people with REVEAL ON are shown; the rest read '[kept]'.
+async function judgeGroup(chain){
+  const scorer = scorerFor(circleOf(chain));
+  const ranking = scoredAnswers(chain, scorer);
+  ranking.forEach((a,i)=>{ a.rank = i && a.score === ranking[i-1].score ? ranking[i-1].rank : i+1; });
+  const policy = voteOf(chain) === 'keep' ? 'none' : (chain.group && chain.group.reveal) || 'top1';
+  const picked = { 'top1': ranking.slice(0,1), 'top-half': ranking.slice(0, Math.ceil(ranking.length/2)),
+    'all': ranking, 'none': [] }[policy].filter(a=> a.text);
+
+  chain.adjudication = { mode:'group', scorer: scorer.name, reveal: policy, winner: ranking[0]?.who || null, ranking, vote: voteOf(chain) };
+  chain.status = 'adjudicated';
+  const verdict = store.tx(()=>{ store.saveChain(chain); return addEvent(chain, {type:'adjudicated', at: nowISO()}); });
+  if (!ranking.length) return;
+  const ref = { circleId: chain.circleId, chainId: chain.id, eventId: verdict.id };
+
+  const audience = await audienceOf(chain);
+  for (const p of audience) {
+    const say = voiceFor(p, chain.circleId);
+    const order = ranking.map(a=> say(a.text ? 'verdict.rank' : 'verdict.rank_silent', { rank: a.rank, mask: mask(a.who) }));
+    await sendSMS(p, [say('verdict.ordered'), ...order], ref);
+  }
+  if (picked.length) {
+    for (const p of audience) {
+      const say = voiceFor(p, chain.circleId);
+      await sendSMS(p, picked.map(a=> say('verdict.said', { mask: mask(a.who), text: mayReveal(a.who) ? a.text : say('verdict.kept') })), ref);
+    }
+  }
+  chain.adjudication.revealed = picked.filter(a=> mayReveal(a.who)).map(a=> a.who);
+  store.saveChain(chain);
+}
+
+// participants still consenting at adjudication time
+async function audienceOf(chain){
+  const out = [];
+  for (const p of chain.participants) if (await isConsented(p)) out.push(p);
+  return out;
+}
+
+// ---------- Jobs (durable timers) ----------
+// Every deferred action lives in the jobs table with its due time, so a restart
+// picks up where the last process stopped. A job is marked 'running' and
+// written before its handler runs; handlers are guarded by chain status, so a
+// job re-queued after a crash never repeats its side effects.
+const JOB_MAX_ATTEMPTS = 5;
+const JOB_KEEP_MS = 7*24*3600*1000;
+const JOB_HANDLERS = {
+  fire_chain: p => fireChain(p.chainId),
+  adjudicate_chain: p => adjudicateChain(p.chainId),
+  schedule_tick: p => runSchedule(p.scheduleId),
+  mantle_expire: p => expireMantle(p.circleId),
+  retention: () => retentionJob()
+};
+
+// key: at most one pending job per key; rescheduling keeps the earlier due time
+async function scheduleJob(type, runAt, payload, key){
+  const pending = key && store.findJobs({ key, status:'pending' })[0];
+  if (pending) {
+    pending.runAt = Math.min(pending.runAt, runAt);
+    store.saveJob(pending);
+    armJobs(pending.runAt);
+    return pending;
+  }
+  const job = {
+    id: 'job_'+crypto.randomBytes(5).toString('hex'),
+    type, key: key || null, payload, runAt,
+    status: 'pending', attempts: 0, createdAt: nowISO()
+  };
+  store.saveJob(job);
+  armJobs(runAt);
+  return job;
+}
+
+// in-memory nudge so short delays (200ms) don't wait for the next poll
+function armJobs(runAt){
+  setTimeout(()=> runDueJobs().catch(console.error), Math.max(0, runAt - clock.now())).unref();
+}
+
+// one drain at a time; concurrent callers share it. Jobs that come due while
+// draining (e.g. an adjudication scheduled by a fire) run in the same pass,
+// then the outbound queue is sent as far as the rate limits allow.
+let jobsRun = null;
+function runDueJobs(){
+  if (!jobsRun) jobsRun = drainJobs().then(drainOutbox).finally(()=>{ jobsRun = null; });
+  return jobsRun;
+}
+
+function nextDueJob(){
+  return store.findJobs({ status:'pending' })
+    .filter(j=> j.runAt <= clock.now())
+    .sort((a,b)=> a.runAt - b.runAt)[0];
+}
+
+async function drainJobs(){
+  let job;
+  while ((job = nextDueJob())) {
+    job.status = 'running'; job.startedAt = nowISO(); job.attempts++;
+    store.saveJob(job);
+    try {
+      const handler = JOB_HANDLERS[job.type];
+      if (!handler) throw new Error(`unknown job type ${job.type}`);
+      await handler(job.payload);
+      job.status = 'done';
+    } catch (e) {
+      console.error(`job ${job.id} (${job.type}) failed:`, e);
+      job.error = String(e);
+      if (job.attempts >= JOB_MAX_ATTEMPTS) job.status = 'failed';
+      else { job.status = 'pending'; job.runAt = clock.now() + Math.pow(2, job.attempts)*1000; }
+    }
+    job.finishedAt = nowISO();
+    store.saveJob(job);
+  }
+}
+
+// housekeeping, once per sweep: finished jobs, settled messages and old MessageSids
+function pruneJobs(){
+  const cutoff = clock.now() - JOB_KEEP_MS;
+  for (const status of ['done','failed','cancelled']) {
+    for (const j of store.findJobs({ status })) {
+      if (new Date(j.finishedAt).getTime() < cutoff) store.deleteJob(j.id);
+    }
+  }
+  for (const status of MESSAGE_DONE) {
+    for (const m of store.findMessages({ status })) {
+      if (new Date(m.statusAt).getTime() < cutoff) store.deleteMessage(m.id);
+    }
   }
+  store.pruneSids(clock.now() - SID_KEEP_MS);
+}
+
+// Adjudicate chains whose tokens are all spent (timers lost to a redeploy,
+// or mirrored/group rounds where someone never answered or never opened).
+async function sweepChains(){
+  const now = clock.now();
+  for (const chain of store.listChains({ status:'awaiting_answers' })) {
+    const toks = store.tokensForChain(chain.id);
+    if (!toks.length) continue;
+    const vote = chain.revealVote;
+    if (vote && !vote.choice && now < vote.deadline) continue;   // its job waits for the vote
+    const settled = toks.every(t=> tokenSpent(chain, t, now));
+    if (settled) await scheduleJob('adjudicate_chain', now, { chainId: chain.id }, `adjudicate:${chain.id}`);
+  }
+}
+
+// On boot: jobs caught 'running' and messages caught 'sending' by a crash go
+// back to the queue, and chains left 'scheduled'/'fired' without a job
+// (pre-jobs data) get one.
+async function recoverJobs(){
+  for (const job of store.findJobs({ status:'running' })) {
+    job.status = 'pending'; job.recoveredAt = nowISO();
+    store.saveJob(job);
+  }
+  for (const msg of store.findMessages({ status:'sending' })) {
+    msg.status = 'queued'; msg.recoveredAt = nowISO();
+    store.saveMessage(msg);
+  }
+  const stalled = [...store.listChains({ status:'scheduled' }), ...store.listChains({ status:'fired' })];
+  for (const chain of stalled) {
+    const runAt = chain.status === 'scheduled' ? chain.scheduledAt : clock.now();
+    await scheduleJob('fire_chain', runAt, { chainId: chain.id }, `fire:${chain.id}`);
+  }
+  for (const c of store.listCircles()) {
+    const m = store.getMeta(circleKey('mantle', c.id));
+    if (m) await scheduleJob('mantle_expire', new Date(m.expiresAt).getTime(), { circleId: c.id }, `mantle:${c.id}`);
+  }
+  if (parseFloat(RETENTION_DAYS) > 0) await scheduleJob('retention', clock.now(), {}, 'retention');
+}
+
+function startJobs(){
+  setInterval(()=> runDueJobs().catch(console.error), parseFloat(JOB_POLL_SECONDS)*1000);
+  setInterval(()=> { pruneJobs(); sweepChains().catch(console.error); }, parseFloat(SWEEP_SECONDS)*1000);
+  sweepChains().then(runDueJobs).catch(console.error);
 }
 
 // ---------- Admin ----------
-app.post('/admin/call-phrase', async (req,res)=>{
-  await bootDB();
-  if ((req.headers['x-admin']||'') !== ADMIN_SECRET) return res.status(401).json({error:'no'});
-  db.data.phraseCall = { active: true, startedAt: nowISO() };
-  await db.write();
-  const everyone = Object.keys(db.data.users).filter(p=> db.data.users[p]?.consented && !db.data.users[p]?.optedOut);
-  for (const p of everyone) { await sendSMS(p, 'dread calls the phrase.').catch(()=>{}); }
+// Compare digests so neither length nor content leaks through timing.
+function adminOK(given){
+  const a = crypto.createHash('sha256').update(String(given||'')).digest();
+  const b = crypto.createHash('sha256').update(String(ADMIN_SECRET)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+function requireAdmin(req,res,next){
+  if (!adminOK(req.headers['x-admin'])) return res.status(401).json({error:'no'});
+  next();
+}
+function chainSummary(c){
+  return { id:c.id, circleId:c.circleId||DEFAULT_CIRCLE, status:c.status, mode:c.mode||null, question:c.question, participants:c.participants.length,
+    createdAt:c.createdAt, scheduledAt:new Date(c.scheduledAt).toISOString(), firedAt:c.firedAt||null };
+}
+
+// GET /admin/chains?status=awaiting_answers&circleId=…
+app.get('/admin/chains', requireAdmin, (req,res)=>{
+  const { status, circleId } = req.query;
+  const chains = store.listChains(status ? { status } : {})
+    .filter(c=> !circleId || (c.circleId || DEFAULT_CIRCLE) === circleId);
+  res.json(chains.map(chainSummary));
+});
+
+app.get('/admin/chains/:id', requireAdmin, (req,res)=>{
+  const chain = store.getChain(req.params.id);
+  if (!chain) return res.status(404).json({error:'no chain'});
+  const tokens = store.tokensForChain(chain.id);
+  const jobs = [`fire:${chain.id}`, `adjudicate:${chain.id}`].flatMap(key=> store.findJobs({ key }));
+  const messages = store.findMessages({ chainId: chain.id });
+  res.json({ ...chain, tokens, jobs, messages });
+});
+
+// only a chain that has not fired can be cancelled; its pending fire job is dropped
+app.post('/admin/chains/:id/cancel', requireAdmin, async (req,res)=>{
+  const chain = store.getChain(req.params.id);
+  if (!chain) return res.status(404).json({error:'no chain'});
+  if (chain.status !== 'scheduled') return res.status(409).json({error:`chain is ${chain.status}`});
+  chain.status = 'cancelled'; chain.cancelledAt = nowISO();
+  store.tx(()=>{
+    store.saveChain(chain);
+    addEvent(chain, {type:'cancelled', by:'admin', at: nowISO()});
+    for (const j of store.findJobs({ key:`fire:${chain.id}`, status:'pending' })) {
+      j.status = 'cancelled'; j.finishedAt = nowISO(); store.saveJob(j);
+    }
+  });
+  if (chain.bracketId) await advanceBracket(chain.bracketId);
+  res.json({ok:true});
+});
+
+// close the answer window now: unanswered tokens are spent, then judge
+// without waiting for the bearer's vote
+app.post('/admin/chains/:id/adjudicate', requireAdmin, async (req,res)=>{
+  const chain = store.getChain(req.params.id);
+  if (!chain) return res.status(404).json({error:'no chain'});
+  if (chain.status !== 'awaiting_answers') return res.status(409).json({error:`chain is ${chain.status}`});
+  store.tx(()=>{
+    for (const t of store.tokensForChain(chain.id)) {
+      if (!t.used) { t.used = true; t.expiredAt = clock.now(); store.saveToken(t); }
+    }
+    addEvent(chain, {type:'forced_adjudication', by:'admin', at: nowISO()});
+  });
+  await adjudicateChain(chain.id, { force: true });
+  res.json({ok:true, adjudication: store.getChain(chain.id).adjudication || null});
+});
+
+// new chain in the same circle with the same question and (still consenting) participants
+app.post('/admin/chains/:id/refire', requireAdmin, async (req,res)=>{
+  const src = store.getChain(req.params.id);
+  if (!src) return res.status(404).json({error:'no chain'});
+  const delayMs = Math.max(0, Number((req.body||{}).delaySeconds) || 0) * 1000;
+  const chain = await createChain({ circleId: src.circleId || DEFAULT_CIRCLE, question: src.question, participants: src.participants, delayMs,
+    extra: { refiredFrom: src.id, quietHours: src.quietHours || null, timezone: src.timezone || null } });
+  if (!chain) return res.status(400).json({error:'no consented members among participants'});
+  addEvent(src, {type:'refired', as: chain.id, by:'admin', at: nowISO()});
+  res.json({ok:true, id:chain.id, scheduledInSeconds: secs(delayMs)});
+});
+
+// outbound queue: ?status=failed, ?to=+1…, ?chainId=…
+app.get('/admin/messages', requireAdmin, (req,res)=>{
+  const where = {};
+  for (const k of ['status','to','chainId']) if (req.query[k]) where[k] = String(req.query[k]);
+  res.json(store.findMessages(where));
+});
+
+// give a failed or undelivered message a fresh set of attempts
+app.post('/admin/messages/:id/retry', requireAdmin, (req,res)=>{
+  const msg = store.getMessage(req.params.id);
+  if (!msg) return res.status(404).json({error:'no message'});
+  if (!['failed','undelivered'].includes(msg.status)) return res.status(409).json({error:`message is ${msg.status}`});
+  Object.assign(msg, { status:'queued', attempts:0, runAt: clock.now(), retriedAt: nowISO() });
+  store.saveMessage(msg);
+  armJobs(msg.runAt);
   res.json({ok:true});
 });
 
+app.get('/admin/users', requireAdmin, (req,res)=>{
+  res.json(store.listUsers());
+});
+
+// who was sent a blank and who found one, finders first; a sent blank also
+// shows how often it was pasted on /decode (webPastes, by no one in particular)
+app.get('/admin/blanks', requireAdmin, (req,res)=>{
+  const web = store.getMeta('blankWebFinds') || {};
+  const rows = store.listUsers()
+    .filter(u=> (u.blanksSent || []).length || (u.blanksFound || []).length)
+    .map(u=>({ phone: u.phone, alias: u.alias || null,
+      sent: (u.blanksSent || []).length, found: (u.blanksFound || []).length,
+      firstFoundAt: (u.blanksFound || [])[0]?.at || null,
+      blanksSent: (u.blanksSent || []).map(b=> ({ ...b, webPastes: web[b.blankId]?.pastes || 0 })),
+      blanksFound: u.blanksFound || [] }));
+  res.json(rows.sort((a,b)=> b.found - a.found));
+});
+
+// every /decode paste, one row per blank: { blankId, circleId, pastes, firstAt, lastAt }
+app.get('/admin/blanks/web', requireAdmin, (req,res)=>{
+  res.json(Object.values(store.getMeta('blankWebFinds') || {}));
+});
+
+app.get('/admin/users/:phone', requireAdmin, (req,res)=>{
+  const u = store.getUser(req.params.phone);
+  if (!u) return res.status(404).json({error:'no user'});
+  res.json(u);
+});
+
+// revoking is not an opt-out: the user can text the oath again
+app.post('/admin/users/:phone/revoke', requireAdmin, async (req,res)=>{
+  const u = store.getUser(req.params.phone);
+  if (!u) return res.status(404).json({error:'no user'});
+  u.consented = false; u.consentRevokedAt = nowISO();
+  logConsent(u, 'revoked_by_admin', true);
+  store.saveUser(u);
+  res.json({ok:true});
+});
+
+app.post('/admin/users/:phone/alias', requireAdmin, async (req,res)=>{
+  const u = store.getUser(req.params.phone);
+  if (!u) return res.status(404).json({error:'no user'});
+  const alias = String((req.body||{}).alias||'').trim().slice(0,32);
+  if (alias) u.alias = alias; else delete u.alias;
+  store.saveUser(u);
+  res.json({ok:true, alias: u.alias || null});
+});
+
+// per-user quiet hours override whatever the chain/schedule says; {} clears them
+app.post('/admin/users/:phone/quiet-hours', requireAdmin, async (req,res)=>{
+  const u = store.getUser(req.params.phone);
+  if (!u) return res.status(404).json({error:'no user'});
+  const { start, end, timezone } = req.body || {};
+  if (timezone && !validTimezone(timezone)) return res.status(400).json({error:`unknown timezone "${timezone}"`});
+  if (start || end) {
+    if (!validQuietHours({ start, end })) return res.status(400).json({error:'start and end must be HH:MM'});
+    u.quietHours = { start, end };
+  } else delete u.quietHours;
+  if (timezone) u.timezone = timezone;
+  store.saveUser(u);
+  res.json({ok:true, quietHours: u.quietHours || null, timezone: u.timezone || null});
+});
+
+// { circleId } (default circle if left out): only that circle's members are called
+app.post('/admin/call-phrase', requireAdmin, async (req,res)=>{
+  const circle = getCircle((req.body||{}).circleId);
+  if (!circle) return res.status(404).json({error:'no circle'});
+  store.setMeta(circleKey('phraseCall', circle.id), { active: true, startedAt: nowISO() });
+  const everyone = await circleMembers(circle);
+  for (const p of everyone) { await sendSMS(p, voiceFor(p, circle.id)('mantle.call'), { circleId: circle.id }); }
+  res.json({ok:true, called: everyone.length});
+});
+
+// GET /admin/mantle?circleId=default&holder=+1…  who wears the name, and
+// everything bearers did (claimed, ask, ask_refused, vote, expired), newest first
+app.get('/admin/mantle', requireAdmin, (req,res)=>{
+  const circle = getCircle(req.query.circleId);
+  if (!circle) return res.status(404).json({error:'no circle'});
+  const audit = store.listAudit({ circleId: circle.id })
+    .filter(a=> !req.query.holder || a.holder === req.query.holder)
+    .sort((a,b)=> a.at < b.at ? 1 : a.at > b.at ? -1 : 0);
+  res.json({ mantle: store.getMeta(circleKey('mantle', circle.id)), audit });
+});
+
+// GET /admin/voice  the locales loaded and, per locale, missing keys and
+// {variables} the engine never passes (same report as node voice.js check)
+app.get('/admin/voice', requireAdmin, (req,res)=>{
+  res.json({ default: DEFAULT_LOCALE, locales: voice.locales(), report: voice.report() });
+});
+
+// POST /admin/voice/reload  re-read the files now (edits are picked up on their own)
+app.post('/admin/voice/reload', requireAdmin, (req,res)=>{
+  try { voice.reload(); } catch(e){ return res.status(500).json({error: e.message}); }
+  res.json({ok:true, locales: voice.locales(), report: voice.report()});
+});
+
+/*
+POST /admin/circles
+{
+  "id":"thursday",                 // optional, [a-z0-9-]
+  "name":"thursday people",
+  "number":"+1323xxxxxxx",         // Twilio number this circle texts from and is texted at
+  "members":["+1…","+1…"],         // null: every consented user (the default circle)
+  "settings":{"soloWindowSeconds":60,"mirrorChance":0.3,"keyphrase":"MOTH UNDER GLASS"}
+}
+settings keys: soloWindowSeconds, mirroredWindowSeconds, openGraceMinutes, mirrorChance, revealProb,
+blankProb, followChance, followMaxTurns, followWindowSeconds, keyphrase, riddleText,
+mantleHours, mantleAsksPerDay, mantleVoteSeconds, scorer, language, locale (the
+voice of members who never sent LANG); a null value drops the override.
+PATCH /admin/circles/:id takes the same fields, checked the same way.
+*/
+// a list of E.164 phones, deduplicated; throws with what is wrong
+function phonesInput(v, field){
+  if (!Array.isArray(v)) throw new Error(`${field} must be an array of phones`);
+  const bad = v.find(p=> typeof p !== 'string' || !/^\+\d{7,15}$/.test(p));
+  if (bad !== undefined) throw new Error(`${field}: ${JSON.stringify(bad)} is not E.164, e.g. +13235550100`);
+  return [...new Set(v)];
+}
+
+function circleInput(body, base = {}){
+  const b = body || {};
+  const out = { ...base, settings: { ...base.settings } };
+  if (b.name != null) out.name = String(b.name).trim();
+  if (b.number !== undefined) {
+    if (b.number !== null && (typeof b.number !== 'string' || !/^\+\d{7,15}$/.test(b.number))) throw new Error('number must be E.164, e.g. +13235550100');
+    const taken = b.number && store.listCircles({ number: b.number }).find(c=> c.id !== out.id);
+    if (taken) throw new Error(`number already belongs to circle "${taken.id}"`);
+    out.number = b.number;
+  }
+  // only the default circle texts from TWILIO_NUMBER
+  if (!out.number && out.id !== DEFAULT_CIRCLE) throw new Error('number required');
+  if (b.members !== undefined) {
+    if (b.members !== null && !Array.isArray(b.members)) throw new Error('members must be an array of phones (or null for everyone)');
+    out.members = b.members ? phonesInput(b.members, 'members') : null;
+  }
+  for (const [k, v] of Object.entries(b.settings || {})) {
+    if (!CIRCLE_SETTINGS[k]) throw new Error(`unknown setting "${k}"`);
+    if (v === null) { delete out.settings[k]; continue; }
+    if (!CIRCLE_SETTINGS[k](v)) throw new Error(`bad value for ${k}`);
+    out.settings[k] = v;
+  }
+  return out;
+}
+
+function circleView(c){
+  return { ...c, number: numberOf(c), settings: settingsOf(c), overrides: c.settings };
+}
+
+app.get('/admin/circles', requireAdmin, (req,res)=>{
+  res.json(store.listCircles().map(circleView));
+});
+
+app.post('/admin/circles', requireAdmin, (req,res)=>{
+  const id = String((req.body||{}).id || 'circle_'+crypto.randomBytes(4).toString('hex'));
+  if (!/^[a-z0-9_-]{1,40}$/.test(id)) return res.status(400).json({error:'id must be [a-z0-9_-]'});
+  if (store.getCircle(id)) return res.status(409).json({error:'circle exists'});
+  let circle;
+  try { circle = circleInput(req.body, { id, name: id, number: null, members: [], settings: {} }); }
+  catch(e){ return res.status(400).json({error: e.message}); }
+  circle.createdAt = nowISO();
+  store.saveCircle(circle);
+  res.json({ok:true, circle: circleView(circle)});
+});
+
+app.get('/admin/circles/:id', requireAdmin, (req,res)=>{
+  const circle = store.getCircle(req.params.id);
+  if (!circle) return res.status(404).json({error:'no circle'});
+  res.json({ ...circleView(circle), mantle: store.getMeta(circleKey('mantle', circle.id)),
+    phraseCall: store.getMeta(circleKey('phraseCall', circle.id)) });
+});
+
+app.patch('/admin/circles/:id', requireAdmin, (req,res)=>{
+  const cur = store.getCircle(req.params.id);
+  if (!cur) return res.status(404).json({error:'no circle'});
+  let circle;
+  try { circle = circleInput(req.body, cur); } catch(e){ return res.status(400).json({error: e.message}); }
+  store.saveCircle(circle);
+  res.json({ok:true, circle: circleView(circle)});
+});
+
+// { add:[phones], remove:[phones] }; an open circle (members null) has to be given a list first
+app.post('/admin/circles/:id/members', requireAdmin, (req,res)=>{
+  const circle = store.getCircle(req.params.id);
+  if (!circle) return res.status(404).json({error:'no circle'});
+  if (!circle.members) return res.status(409).json({error:'circle is open to every consented user; PATCH members first'});
+  let add, remove;
+  try {
+    add = phonesInput(req.body?.add ?? [], 'add');
+    remove = phonesInput(req.body?.remove ?? [], 'remove');
+  } catch(e){ return res.status(400).json({error: e.message}); }
+  circle.members = [...new Set([...circle.members, ...add])].filter(p=> !remove.includes(p));
+  store.saveCircle(circle);
+  res.json({ok:true, members: circle.members});
+});
+
+// ---------- Schedules (recurring whispers) ----------
+/*
+POST /admin/schedules
+{
+  "name":"weeknight ritual",
+  "participants":["+1323xxxxxxx","+1yyyyyyyyyy"],
+  "questions":["what did you avoid today?","who did you disappoint?"],   // rotated in order
+      // or "bank":{"tags":["regret"],"maxIntensity":3} to draw unanswered bank questions
+  "recurrence":{"days":["mon","tue","wed","thu","fri"],"between":["19:00","22:00"],"timezone":"America/Los_Angeles"},
+      // or {"cron":"0 19 * * 1-5","windowMinutes":180,"timezone":"…"}
+  "quietHours":{"start":"23:00","end":"08:00"},  // optional, in the schedule's timezone
+  "circleId":"default"                           // optional
+}
+One chain per recurrence window, fired at a random moment inside it. A
+between window may cross midnight (["22:00","02:00"] opens on the listed days).
+*/
+function scheduleInput(body, base = {}){
+  const b = body || {};
+  const out = { ...base };
+  if (b.name != null) out.name = String(b.name).trim();
+  if (b.circleId != null) {
+    if (!getCircle(String(b.circleId))) throw new Error(`unknown circle "${b.circleId}"`);
+    out.circleId = String(b.circleId);
+  }
+  if (b.participants != null) {
+    if (!Array.isArray(b.participants) || !b.participants.length) throw new Error('participants must be a non-empty array');
+    out.participants = b.participants.map(String);
+  }
+  if (b.questions != null) {
+    const qs = Array.isArray(b.questions) ? b.questions.map(q=> String(q).trim()).filter(Boolean) : [];
+    if (!qs.length) throw new Error('questions must be a non-empty array');
+    out.questions = qs; out.bank = null;
+  }
+  if (b.bank != null) { out.bank = bankQuery(b.bank); out.questions = null; }
+  if (b.recurrence != null) out.recurrence = normalizeRecurrence(b.recurrence);
+  if (b.quietHours !== undefined) {
+    if (b.quietHours && !validQuietHours(b.quietHours)) throw new Error('quietHours needs {start:"HH:MM", end:"HH:MM"}');
+    out.quietHours = b.quietHours ? { start: b.quietHours.start, end: b.quietHours.end } : null;
+  }
+  if (!out.participants || !(out.questions || out.bank) || !out.recurrence) throw new Error('participants, questions (or bank) and recurrence required');
+  return out;
+}
+
+// work out nextRunAt (one run per window) and queue the tick
+async function planSchedule(sched){
+  for (const j of store.findJobs({ key:`schedule:${sched.id}`, status:'pending' })) {
+    j.status = 'cancelled'; j.finishedAt = nowISO(); store.saveJob(j);
+  }
+  const next = sched.paused ? null : nextRun(sched.recurrence, Math.max(clock.now(), sched.lastWindowEnd || 0));
+  sched.nextRunAt = next ? next.at : null;
+  sched.windowEnd = next ? next.windowEnd : null;
+  store.saveSchedule(sched);
+  if (next) await scheduleJob('schedule_tick', next.at, { scheduleId: sched.id }, `schedule:${sched.id}`);
+}
+
+// Advance the schedule before creating the chain: a crash in between skips
+// one whisper rather than sending it twice.
+async function runSchedule(scheduleId){
+  const sched = store.getSchedule(scheduleId);
+  if (!sched || sched.paused || !sched.nextRunAt) return;
+  if (sched.nextRunAt > clock.now()) return;   // superseded by a replan
+  const question = sched.questions ? sched.questions[sched.questionIndex % sched.questions.length] : null;
+  sched.questionIndex++;
+  sched.lastRunAt = nowISO();
+  sched.lastWindowEnd = sched.windowEnd;
+  await planSchedule(sched);
+
+  const chain = await createChain({ circleId: sched.circleId || DEFAULT_CIRCLE, question, participants: sched.participants,
+    extra: { scheduleId: sched.id, questionQuery: sched.bank || null, quietHours: sched.quietHours, timezone: sched.recurrence.timezone } });
+  sched.lastChainId = chain ? chain.id : null;
+  store.saveSchedule(sched);
+}
+
+function scheduleView(s){
+  return { ...s, nextRunAt: s.nextRunAt ? new Date(s.nextRunAt).toISOString() : null };
+}
+
+app.post('/admin/schedules', requireAdmin, async (req,res)=>{
+  let sched;
+  try { sched = scheduleInput(req.body); } catch(e){ return res.status(400).json({error: e.message}); }
+  sched = { id: 'sched_'+crypto.randomBytes(5).toString('hex'), name: sched.name || '', quietHours: null, circleId: DEFAULT_CIRCLE,
+    ...sched, questionIndex: 0, paused: false, createdAt: nowISO() };
+  await planSchedule(sched);
+  res.json({ok:true, schedule: scheduleView(sched)});
+});
+
+app.get('/admin/schedules', requireAdmin, (req,res)=>{
+  res.json(store.listSchedules().map(scheduleView));
+});
+
+app.get('/admin/schedules/:id', requireAdmin, (req,res)=>{
+  const sched = store.getSchedule(req.params.id);
+  if (!sched) return res.status(404).json({error:'no schedule'});
+  res.json(scheduleView(sched));
+});
+
+app.patch('/admin/schedules/:id', requireAdmin, async (req,res)=>{
+  const cur = store.getSchedule(req.params.id);
+  if (!cur) return res.status(404).json({error:'no schedule'});
+  let sched;
+  try { sched = scheduleInput(req.body, cur); } catch(e){ return res.status(400).json({error: e.message}); }
+  await planSchedule(sched);
+  res.json({ok:true, schedule: scheduleView(sched)});
+});
+
+app.post('/admin/schedules/:id/pause', requireAdmin, async (req,res)=>{
+  const sched = store.getSchedule(req.params.id);
+  if (!sched) return res.status(404).json({error:'no schedule'});
+  sched.paused = true; sched.pausedAt = nowISO();
+  await planSchedule(sched);
+  res.json({ok:true, schedule: scheduleView(sched)});
+});
+
+app.post('/admin/schedules/:id/resume', requireAdmin, async (req,res)=>{
+  const sched = store.getSchedule(req.params.id);
+  if (!sched) return res.status(404).json({error:'no schedule'});
+  sched.paused = false; delete sched.pausedAt;
+  await planSchedule(sched);
+  res.json({ok:true, schedule: scheduleView(sched)});
+});
+
+app.delete('/admin/schedules/:id', requireAdmin, async (req,res)=>{
+  const sched = store.getSchedule(req.params.id);
+  if (!sched) return res.status(404).json({error:'no schedule'});
+  sched.paused = true;
+  await planSchedule(sched);   // drops the pending tick
+  store.deleteSchedule(sched.id);
+  res.json({ok:true});
+});
+
+// ---------- Brackets (elimination over several group chains) ----------
+/*
+POST /admin/brackets
+{
+  "circleId":"default",                 // optional
+  "participants":["+1…","+1…",…],       // entrants
+  "heatSize":4,                         // people per group chain
+  "advance":"top-half",                 // or how many move on from each heat
+  "reveal":"top1",                      // reveal policy for every heat (top1, top-half, all, none)
+  "questions":["…","…"],                // one per round, cycled; or "bank":{"tags":[…]}
+  "gapMinutes":60                       // between a round settling and the next one firing
+}
+Each round shuffles who is left into heats of at most heatSize, one group chain
+per heat. Once every heat of the round is adjudicated the top of each heat moves
+on, until one champion remains. Every heat loses at least one person. Someone
+not drawn in their heat (quiet hours, PAUSE, MIRROR OFF) is out; a heat that
+never ran (cancelled, no question) passes everyone through, and so does one that
+could not be made at all (nobody in it a consented member any more), to be tried
+again next round. A round where no heat can be made fails the bracket, with the
+reason on it.
+*/
+function bracketInput(body){
+  const b = body || {};
+  const circleId = String(b.circleId || DEFAULT_CIRCLE);
+  if (!getCircle(circleId)) throw new Error(`unknown circle "${circleId}"`);
+  if (!Array.isArray(b.participants) || b.participants.length < 2) throw new Error('participants needs at least two phones');
+  const heatSize = Number(b.heatSize || 4);
+  if (!Number.isInteger(heatSize) || heatSize < 2 || heatSize > 20) throw new Error('heatSize must be 2-20');
+  const advance = b.advance == null ? 'top-half' : b.advance;
+  if (advance !== 'top-half' && !(Number.isInteger(advance) && advance >= 1)) throw new Error('advance must be "top-half" or a whole number');
+  const reveal = b.reveal || 'top1';
+  if (!REVEAL_POLICIES.includes(reveal)) throw new Error(`reveal must be ${REVEAL_POLICIES.join(', ')}`);
+  const questions = Array.isArray(b.questions) ? b.questions.map(q=> String(q).trim()).filter(Boolean) : null;
+  if (!(questions && questions.length) && !b.bank) throw new Error('questions (or bank) required');
+  return {
+    circleId, entrants: [...new Set(b.participants.map(String))], heatSize, advance, reveal,
+    questions: questions && questions.length ? questions : null, bank: questions && questions.length ? null : bankQuery(b.bank),
+    gapMinutes: Math.max(0, Number(b.gapMinutes) || 0)
+  };
+}
+
+// n heats as even as possible, so no heat is left with one person
+function splitHeats(people, size){
+  const n = Math.ceil(people.length / size);
+  const heats = Array.from({ length: n }, ()=> []);
+  people.forEach((p,i)=> heats[i % n].push(p));
+  return heats;
+}
+
+async function startBracketRound(bracket, delayMs){
+  const question = bracket.questions ? bracket.questions[(bracket.round - 1) % bracket.questions.length] : null;
+  bracket.heats = []; bracket.unplaced = [];
+  for (const heat of splitHeats(shuffle(bracket.alive), bracket.heatSize)) {
+    const chain = await createChain({ circleId: bracket.circleId, question, participants: heat, delayMs,
+      extra: { bracketId: bracket.id, bracketRound: bracket.round, questionQuery: bracket.bank,
+        group: { size: heat.length, reveal: bracket.reveal } } });
+    if (chain) bracket.heats.push(chain.id);
+    else bracket.unplaced.push(...heat);
+  }
+  if (!bracket.heats.length) {
+    bracket.status = 'failed'; bracket.finishedAt = nowISO();
+    bracket.reason = `round ${bracket.round}: no heat could be made, nobody left is a consented member of the circle`;
+  }
+  store.saveBracket(bracket);
+}
+
+// who moves on from one heat, best first
+function heatSurvivors(chain, advance){
+  const adj = chain.adjudication;
+  if (!adj) return chain.participants;   // never ran
+  const order = adj.ranking ? adj.ranking.map(a=> a.who)
+    : adj.answers ? adj.answers.map(a=> a.who)
+    : adj.actor ? [adj.actor] : [];
+  if (order.length <= 1) return order;
+  const k = advance === 'top-half' ? Math.ceil(order.length/2) : advance;
+  return order.slice(0, Math.max(1, Math.min(k, order.length - 1)));
+}
+
+async function advanceBracket(bracketId){
+  const bracket = store.getBracket(bracketId);
+  if (!bracket || bracket.status !== 'running') return;
+  const heats = bracket.heats.map(id=> store.getChain(id)).filter(Boolean);
+  if (heats.some(c=> !['adjudicated','cancelled','no_question'].includes(c.status))) return;
+
+  const survivors = [...heats.flatMap(c=> heatSurvivors(c, bracket.advance)), ...(bracket.unplaced || [])];
+  bracket.history = [...(bracket.history || []), { round: bracket.round, heats: bracket.heats, unplaced: bracket.unplaced || [], survivors }];
+  const stalled = survivors.length >= bracket.alive.length;
+  bracket.alive = survivors;
+  if (survivors.length > 1 && !stalled) {
+    bracket.round++;
+    return startBracketRound(bracket, bracket.gapMinutes*60000);
+  }
+
+  bracket.status = stalled && survivors.length > 1 ? 'stalled' : 'done';
+  bracket.champion = survivors.length === 1 ? survivors[0] : null;
+  bracket.finishedAt = nowISO();
+  store.saveBracket(bracket);
+  if (!bracket.champion) return;
+  const circle = getCircle(bracket.circleId);
+  for (const p of bracket.entrants) {
+    if (!(await isConsented(p))) continue;
+    const say = voiceFor(p, circle.id);
+    await sendSMS(p, p === bracket.champion ? say('bracket.champion_you') : say('bracket.champion', { mask: mask(bracket.champion) }), { circleId: circle.id });
+  }
+}
+
+app.post('/admin/brackets', requireAdmin, async (req,res)=>{
+  let input;
+  try { input = bracketInput(req.body); } catch(e){ return res.status(400).json({error: e.message}); }
+  const circle = getCircle(input.circleId);
+  const alive = [];
+  for (const p of input.entrants) if (isMember(circle, p) && await isConsented(p)) alive.push(p);
+  if (alive.length < 2) return res.status(400).json({error:'fewer than two consented members among participants'});
+  const bracket = { id: 'bracket_'+crypto.randomBytes(5).toString('hex'), ...input, entrants: alive, alive,
+    round: 1, heats: [], history: [], status: 'running', champion: null, createdAt: nowISO() };
+  await startBracketRound(bracket, 0);
+  res.json({ok:true, bracket});
+});
+
+app.get('/admin/brackets', requireAdmin, (req,res)=>{
+  res.json(store.listBrackets());
+});
+
+app.get('/admin/brackets/:id', requireAdmin, (req,res)=>{
+  const bracket = store.getBracket(req.params.id);
+  if (!bracket) return res.status(404).json({error:'no bracket'});
+  const heats = bracket.heats.map(id=> store.getChain(id)).filter(Boolean).map(chainSummary);
+  res.json({ ...bracket, currentHeats: heats });
+});
+
+// stops the bracket moving on; heats already scheduled still run as plain group rounds
+app.post('/admin/brackets/:id/cancel', requireAdmin, (req,res)=>{
+  const bracket = store.getBracket(req.params.id);
+  if (!bracket) return res.status(404).json({error:'no bracket'});
+  if (bracket.status !== 'running') return res.status(409).json({error:`bracket is ${bracket.status}`});
+  bracket.status = 'cancelled'; bracket.finishedAt = nowISO();
+  store.saveBracket(bracket);
+  res.json({ok:true});
+});
+
+// ---------- Question bank ----------
+// { id, text, tags:[…], intensity 1 (gentle) – 5 (raw), archived }
+// Archived rather than deleted so answered history keeps pointing somewhere.
+function bankQuery({ tags, maxIntensity } = {}){
+  return {
+    tags: Array.isArray(tags) ? tags.map(t=> String(t).toLowerCase().trim()).filter(Boolean) : [],
+    maxIntensity: intensityOf(maxIntensity, 5)
+  };
+}
+function intensityOf(v, dflt){
+  const n = parseInt(v,10);
+  return n >= 1 && n <= 5 ? n : dflt;
+}
+
+// A bank question any tag matches, within every recipient's intensity cap,
+// that none of them has answered before. null when the bank is exhausted.
+function pickBankQuestion(recipients, { tags = [], maxIntensity = 5 } = {}){
+  const users = recipients.map(p=> store.getUser(p) || {});
+  const cap = Math.min(maxIntensity, ...users.map(u=> u.maxIntensity || 5));
+  const answered = new Set(users.flatMap(u=> u.answeredQuestions || []));
+  const pool = store.listQuestions({ archived: false }).filter(q=>
+    q.intensity <= cap && !answered.has(q.id) && (!tags.length || q.tags.some(t=> tags.includes(t))));
+  return pool.length ? pick(pool) : null;
+}
+
+function questionInput(body, base = {}){
+  const b = body || {};
+  const out = { ...base };
+  if (b.text != null) out.text = String(b.text).trim();
+  if (b.tags != null) out.tags = bankQuery({ tags: b.tags }).tags;
+  if (b.intensity != null) {
+    out.intensity = intensityOf(b.intensity, null);
+    if (!out.intensity) throw new Error('intensity must be 1-5');
+  }
+  if (!out.text) throw new Error('text required');
+  return { tags: [], intensity: 1, ...out };
+}
+
+// GET /admin/questions?tag=regret&maxIntensity=3&archived=1
+app.get('/admin/questions', requireAdmin, (req,res)=>{
+  const { tag, maxIntensity, archived } = req.query;
+  const cap = intensityOf(maxIntensity, 5);
+  res.json(store.listQuestions({ archived: archived === '1' })
+    .filter(q=> q.intensity <= cap && (!tag || q.tags.includes(String(tag).toLowerCase()))));
+});
+
+app.get('/admin/questions/:id', requireAdmin, (req,res)=>{
+  const q = store.getQuestion(req.params.id);
+  if (!q) return res.status(404).json({error:'no question'});
+  res.json(q);
+});
+
+app.post('/admin/questions', requireAdmin, (req,res)=>{
+  let q;
+  try { q = questionInput(req.body); } catch(e){ return res.status(400).json({error: e.message}); }
+  q = { id: 'q_'+crypto.randomBytes(5).toString('hex'), ...q, archived: false, createdAt: nowISO() };
+  store.saveQuestion(q);
+  res.json({ok:true, question: q});
+});
+
+app.patch('/admin/questions/:id', requireAdmin, (req,res)=>{
+  const cur = store.getQuestion(req.params.id);
+  if (!cur) return res.status(404).json({error:'no question'});
+  let q;
+  try { q = questionInput(req.body, cur); } catch(e){ return res.status(400).json({error: e.message}); }
+  if (req.body && req.body.archived != null) q.archived = !!req.body.archived;
+  q.updatedAt = nowISO();
+  store.saveQuestion(q);
+  res.json({ok:true, question: q});
+});
+
+app.delete('/admin/questions/:id', requireAdmin, (req,res)=>{
+  const q = store.getQuestion(req.params.id);
+  if (!q) return res.status(404).json({error:'no question'});
+  q.archived = true; q.updatedAt = nowISO();
+  store.saveQuestion(q);
+  res.json({ok:true});
+});
+
+// ---------- Stats & export ----------
+// Aggregated from chain events (see stats.js). Both endpoints take
+// ?circleId=…&since=…&until=… (chain createdAt, any Date.parse format) and
+// redact=1, which masks phones and drops answer text and aliases.
+function statsScope(q){
+  const since = q.since ? Date.parse(q.since) : null, until = q.until ? Date.parse(q.until) : null;
+  if (Number.isNaN(since) || Number.isNaN(until)) throw new Error('since and until must be dates');
+  if (q.circleId && !getCircle(q.circleId)) throw new Error(`unknown circle "${q.circleId}"`);
+  const chains = store.listChains()
+    .filter(c=> !q.circleId || (c.circleId || DEFAULT_CIRCLE) === q.circleId)
+    .filter(c=> { const t = Date.parse(c.createdAt); return (since == null || t >= since) && (until == null || t < until); })
+    .map(c=> store.getChain(c.id));
+  const people = new Set(chains.flatMap(c=> c.participants || []));
+  const users = store.listUsers().filter(u=> !q.circleId || people.has(u.phone));
+  const openedAt = new Map(store.listTokens().filter(t=> t.openedAt).map(t=> [t.token, t.openedAt]));
+  return { chains, users, openedAt };
+}
+
+// GET /admin/stats  open/answer rates and timings, mirrored records, score
+// distributions per scorer, opt-out funnel
+app.get('/admin/stats', requireAdmin, (req,res)=>{
+  let scope;
+  try { scope = statsScope(req.query); } catch(e){ return res.status(400).json({error: e.message}); }
+  res.json(stats.summarize({ ...scope, mask: req.query.redact === '1' ? mask : undefined }));
+});
+
+// GET /admin/export/tokens|chains|answers|users?format=csv|ndjson&redact=1
+app.get('/admin/export/:kind', requireAdmin, (req,res)=>{
+  const { kind } = req.params, format = req.query.format || 'ndjson';
+  if (!stats.EXPORT_KINDS.includes(kind)) return res.status(404).json({error:`no export "${kind}" (use ${stats.EXPORT_KINDS.join(', ')})`});
+  if (!['csv','ndjson'].includes(format)) return res.status(400).json({error:'format must be csv or ndjson'});
+  let scope;
+  try { scope = statsScope(req.query); } catch(e){ return res.status(400).json({error: e.message}); }
+  const tokens = stats.tokenRows(scope.chains, scope.openedAt);
+  const rows = {
+    tokens: ()=> tokens,
+    chains: ()=> stats.chainRows(scope.chains, tokens),
+    answers: ()=> stats.answerRows(scope.chains),
+    users: ()=> stats.userRows(scope.users, tokens, scope.chains)
+  }[kind]();
+  const body = stats.exportRows(kind, rows, { format, redact: req.query.redact === '1', mask });
+  res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+  res.set('Content-Disposition', `attachment; filename="dread-${kind}.${format}"`);
+  res.send(body);
+});
+
+// ---------- Personal data (export, retention) ----------
+// personalData(phone) is everything stored about one number, decrypted: the
+// user row, their tokens, their side of every chain they were in or asked,
+// the messages queued to them, the circles, schedules and brackets that list
+// them, and what they did wearing the mantle. Admins read it directly; the
+// person texts MY DATA for a link that works for EXPORT_LINK_HOURS (only a
+// hash of the link is kept).
+const EXPORT_LINK_HOURS = 24;
+const RETENTION_EVERY_MS = 24*3600*1000;
+
+function personalData(phone){
+  const user = store.getUser(phone);
+  const tokens = store.tokensForRecipient(phone);
+  const chainIds = new Set(tokens.map(t=> t.chainId));
+  for (const c of store.listChains()) {
+    if ((c.participants || []).includes(phone) || (c.recipients || []).includes(phone) || c.askedBy === phone) chainIds.add(c.id);
+  }
+  const chains = [...chainIds].map(id=> store.getChain(id)).filter(Boolean).map(c=> {
+    const adj = c.adjudication;
+    const entry = adj && [...(adj.answers || []), ...(adj.ranking || [])].find(a=> a.who === phone);
+    return {
+      id: c.id, circleId: c.circleId || DEFAULT_CIRCLE, question: c.question, mode: c.mode || null, status: c.status,
+      createdAt: c.createdAt, firedAt: c.firedAt || null, askedByYou: c.askedBy === phone,
+      events: c.events.filter(e=> e.who === phone || e.to === phone),
+      verdict: adj ? {
+        mode: adj.mode, scorer: adj.scorer || null,
+        you: entry || (adj.actor === phone ? { answer: adj.answer, turns: adj.turns } : null),
+        won: adj.winner === phone || adj.actor === phone, lost: adj.loser === phone,
+        revealed: (adj.revealed || []).includes(phone)
+      } : null
+    };
+  });
+  const listed = list => (list || []).includes(phone);
+  return {
+    phone, exportedAt: nowISO(),
+    user: user ? { ...user, exportGrant: undefined } : null,
+    tokens, chains,
+    messages: store.findMessages({ to: phone }).map(m=> ({ id: m.id, body: m.body, status: m.status, createdAt: m.createdAt })),
+    circles: store.listCircles().filter(c=> c.members ? listed(c.members) : !!user).map(c=> ({ id: c.id, name: c.name })),
+    schedules: store.listSchedules().filter(x=> listed(x.participants)).map(x=> ({ id: x.id, name: x.name || null })),
+    brackets: store.listBrackets().filter(b=> listed(b.entrants))
+      .map(b=> ({ id: b.id, status: b.status, alive: listed(b.alive), champion: b.champion === phone })),
+    mantle: store.listAudit().filter(a=> a.holder === phone)
+  };
+}
+
+const sha256 = v => crypto.createHash('sha256').update(v).digest('hex');
+
+// a fresh link replaces the last one
+function grantExport(phone){
+  const u = store.getUser(phone) || { phone, consented:false, optedOut:false };
+  const token = genToken() + genToken();
+  u.exportGrant = { hash: sha256(token), expiresAt: clock.now() + EXPORT_LINK_HOURS*3600*1000 };
+  store.saveUser(u);
+  return `${BASE_URL.replace(/\/+$/,'')}/export/${token}`;
+}
+
+// GET /export/:token  the MY DATA link: a JSON download of personalData()
+app.get('/export/:token', (req,res)=>{
+  const hash = sha256(req.params.token);
+  const u = store.listUsers().find(x=> x.exportGrant && x.exportGrant.hash === hash);
+  if (!u) return res.status(404).send(htmlMsg(pageVoice(req)('export.no_link')));
+  if (clock.now() > u.exportGrant.expiresAt) return res.status(410).send(htmlMsg(voiceFor(u.phone)('export.expired')));
+  res.set('Content-Disposition', 'attachment; filename="dread-data.json"');
+  res.json(personalData(u.phone));
+});
+
+// GET /admin/users/:phone/export  the same document, for a request by email or post
+app.get('/admin/users/:phone/export', requireAdmin, (req,res)=>{
+  const data = personalData(req.params.phone);
+  if (!data.user && !data.tokens.length && !data.chains.length) return res.status(404).json({error:'nothing stored for that number'});
+  res.json(data);
+});
+
+// RETENTION_DAYS > 0: answers older than the cutoff lose their text in the
+// events, the token copies and the verdicts (who, when and scores stay);
+// tokens sent before it whose window is over are deleted, and so are settled
+// messages (their bodies can quote answers).
+function runRetention(){
+  const days = parseFloat(RETENTION_DAYS);
+  if (!(days > 0)) return null;
+  const now = clock.now(), cutoff = now - days*24*3600*1000, cutoffISO = new Date(cutoff).toISOString();
+  const out = { cutoff: cutoffISO, answers: 0, tokens: 0, messages: 0 };
+  // the scorer's words and breakdown were read off the answer, so they go with it
+  const blank = list => (list || []).map(({ words, breakdown, ...a })=> a.text ? { ...a, text: null, turns: (a.turns || []).map(t=> ({ ...t, text: null })) } : a);
+  store.tx(()=>{
+    for (const c of store.listChains()) {
+      if (c.answersErasedAt || c.createdAt >= cutoffISO) continue;
+      const chain = store.getChain(c.id);
+      const old = chain.events.filter(e=> e.type==='answer' && e.text != null && e.at < cutoffISO);
+      for (const ev of old) { ev.text = null; ev.erasedAt = nowISO(); store.saveEvent(ev); }
+      out.answers += old.length;
+      const adj = chain.adjudication;
+      if (old.length && adj) {
+        if (adj.answers) adj.answers = blank(adj.answers);
+        if (adj.ranking) adj.ranking = blank(adj.ranking);
+        if (adj.answer) { adj.answer = null; adj.turns = (adj.turns || []).map(t=> ({ ...t, text: null })); }
+      }
+      const settled = chain.status !== 'awaiting_answers' && chain.status !== 'scheduled' && chain.status !== 'fired';
+      if (settled && !chain.events.some(e=> e.type==='answer' && e.text != null)) chain.answersErasedAt = nowISO();
+      if (old.length || chain.answersErasedAt) store.saveChain(chain);
+    }
+    for (const t of store.listTokens()) {
+      if (t.sentAt >= cutoff) continue;
+      const chain = store.getChain(t.chainId);
+      const over = t.used || (t.deadline && t.deadline < now) || !chain || chain.status !== 'awaiting_answers';
+      if (over) { store.deleteToken(t.token); out.tokens++; }
+    }
+    for (const status of MESSAGE_DONE) {
+      for (const m of store.findMessages({ status })) {
+        if (m.createdAt < cutoffISO) { store.deleteMessage(m.id); out.messages++; }
+      }
+    }
+    store.setMeta('retention', { ...out, ranAt: nowISO() });
+  });
+  return out;
+}
+
+async function retentionJob(){
+  runRetention();
+  if (parseFloat(RETENTION_DAYS) > 0) await scheduleJob('retention', clock.now()+RETENTION_EVERY_MS, {}, 'retention');
+}
+
+// POST /admin/retention/run  run the retention pass now (same rules as the daily job)
+app.post('/admin/retention/run', requireAdmin, (req,res)=>{
+  const out = runRetention();
+  if (!out) return res.status(409).json({error:'RETENTION_DAYS is not set'});
+  res.json({ok:true, ...out});
+});
+
+// ---------- Dev (local transport only) ----------
+// Drive full rounds without a phone: inject inbound texts, read the outbox,
+// fake delivery receipts, and (with FAKE_CLOCK=1) skip ahead past the answer windows.
+if (devMode) {
+  app.post('/dev/inbound', async (req,res)=>{
+    const { from, body, to } = req.body || {};
+    if (!from || body == null) return res.status(400).json({error:'from and body required'});
+    await transport.inject(String(from), body, to ? String(to) : undefined);
+    res.json({ok:true});
+  });
+  app.get('/dev/outbox', (req,res)=>{
+    res.json(req.query.to ? transport.sentTo(req.query.to) : transport.outbox);
+  });
+  app.delete('/dev/outbox', (req,res)=>{ transport.clear(); res.json({ok:true}); });
+  // play a delivery status callback, as Twilio would post it to /sms/status
+  app.post('/dev/status', (req,res)=>{
+    const { sid, status } = req.body || {};
+    const msg = sid && store.messageBySid(String(sid));
+    if (!msg) return res.status(404).json({error:'no message with that sid'});
+    recordDelivery(msg, String(status || '').toLowerCase(), (req.body||{}).errorCode);
+    res.json({ok:true, status: store.getMessage(msg.id).status});
+  });
+  if (FAKE_CLOCK === '1') {
+    app.post('/dev/clock', async (req,res)=>{
+      const seconds = Number((req.body||{}).advanceSeconds) || 0;
+      clock.advance(seconds*1000);
+      await runDueJobs();
+      res.json({ok:true, now: nowISO()});
+    });
+  }
+}
+
 // ---------- Health ----------
 app.get('/', (req,res)=> res.send('dread engine alive. POST /create to schedule. webhook: POST /sms'));
 
@@ -504,6 +2642,14 @@ function htmlMsg(msg){
 }
 
 // ---------- Boot ----------
-bootDB().then(()=>{
-  app.listen(PORT, ()=> console.log(`Dread listening on ${PORT}`));
-});
+async function start(port = PORT){
+  await recoverJobs();
+  startJobs();
+  return app.listen(port, ()=> console.log(`Dread listening on ${port} (sms: ${transport.name}, store: ${store.driver.name})`));
+}
+
+if (require.main === module) start();
+
+// for end-to-end runs: require('./server') with SMS_TRANSPORT=local, then drive
+// transport.inject(), clock.advance() and runDueJobs() directly
+module.exports = { app, start, store, transport, clock, runDueJobs, sweepChains, encodeInvisible, decodeInvisible };
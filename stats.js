@@ -0,0 +1,261 @@
+// stats.js — aggregates over chain events for the admin stats API and exports
+// Pure functions over plain rows (chains with their events, users), no I/O.
+// Events are the record: 'sent' starts a token, 'opened' and the first 'answer'
+// time it, 'adjudicated' closes the chain; a token's openedAt fills in for
+// chains from before 'opened' was logged.
+//   tokenRows(chains, openedAt)    one row per whisper sent: opened?, answered in window?, timings
+//   chainRows(chains, tokenRows)   one row per chain: rates, verdict, scores
+//   answerRows(chains)             one row per answer (every turn), with the thread's score
+//   userRows(users, tokenRows, chains)   per person: rates, mirrored win/loss, consent state
+//   summarize({ chains, users, openedAt })   the GET /admin/stats payload
+//   exportRows(kind, rows, { format, redact, mask })   csv | ndjson text
+
+const SCORE_BUCKET = 10;
+const SCORE_BUCKETS = 10;   // 0-9 … 90-99, then 100+
+
+// phone and free-text columns per export kind; redact masks the one and drops the other
+const EXPORTS = {
+  tokens: {
+    columns: ['chainId', 'circleId', 'mode', 'token', 'recipient', 'sentAt', 'openedAt', 'answeredAt', 'opened', 'answered', 'timeToOpenMs', 'timeToAnswerMs'],
+    phones: ['recipient'], text: []
+  },
+  chains: {
+    columns: ['id', 'circleId', 'mode', 'status', 'question', 'askedBy', 'createdAt', 'firedAt', 'adjudicatedAt',
+      'sent', 'opened', 'answered', 'openRate', 'answerRate', 'scorer', 'winner', 'loser', 'topScore', 'revealed', 'vote'],
+    phones: ['askedBy', 'winner', 'loser'], text: []
+  },
+  answers: {
+    columns: ['chainId', 'circleId', 'mode', 'who', 'turn', 'at', 'text', 'threadScore'],
+    phones: ['who'], text: ['text']
+  },
+  users: {
+    columns: ['phone', 'alias', 'consented', 'optedOut', 'consentAt', 'optOutAt', 'sent', 'opened', 'answered',
+      'openRate', 'answerRate', 'medianTimeToOpenMs', 'mirroredWins', 'mirroredLosses'],
+    // an alias names the phone it stands for, so it goes with the phone
+    phones: ['phone'], text: ['alias']
+  }
+};
+const EXPORT_KINDS = Object.keys(EXPORTS);
+
+const ms = iso => iso ? new Date(iso).getTime() : null;
+const rate = (n, d) => d ? Math.round(n / d * 1000) / 1000 : null;
+
+// { count, min, max, mean, median, p90 } of a list of numbers
+function distribution(values) {
+  const v = values.filter(x => typeof x === 'number' && !Number.isNaN(x)).sort((a, b) => a - b);
+  if (!v.length) return { count: 0, min: null, max: null, mean: null, median: null, p90: null };
+  const at = p => v[Math.min(v.length - 1, Math.floor(p * v.length))];
+  const mean = v.reduce((a, b) => a + b, 0) / v.length;
+  return { count: v.length, min: v[0], max: v[v.length - 1], mean: Math.round(mean * 10) / 10, median: at(0.5), p90: at(0.9) };
+}
+
+function tokenRows(chains, openedAt = new Map()) {
+  const rows = [];
+  for (const c of chains) {
+    const evs = c.events || [];
+    for (const sent of evs.filter(e => e.type === 'sent')) {
+      const opened = evs.find(e => e.type === 'opened' && e.token === sent.token);
+      const answer = evs.find(e => e.type === 'answer' && e.token === sent.token && (e.turn || 1) === 1);
+      const sentAt = ms(sent.at);
+      const openAt = opened ? ms(opened.at) : openedAt.get(sent.token) || null;
+      const answerAt = answer ? ms(answer.at) : null;
+      rows.push({
+        chainId: c.id, circleId: c.circleId || 'default', mode: c.mode || null,
+        token: sent.token, recipient: sent.to,
+        sentAt: sent.at, openedAt: openAt ? new Date(openAt).toISOString() : null, answeredAt: answer ? answer.at : null,
+        // an SMS answer counts as answered without an open
+        opened: !!openAt, answered: !!answer,
+        timeToOpenMs: openAt ? openAt - sentAt : null,
+        timeToAnswerMs: answerAt ? answerAt - sentAt : null
+      });
+    }
+  }
+  return rows;
+}
+
+function adjudicatedAt(c) {
+  const ev = (c.events || []).filter(e => e.type === 'adjudicated').slice(-1)[0];
+  return ev ? ev.at : null;
+}
+
+// the scored entries of a verdict: mirrored answers or the group ranking
+function scoredOf(adj) {
+  return (adj && (adj.answers || adj.ranking)) || [];
+}
+
+function chainRows(chains, tokens) {
+  const byChain = new Map();
+  for (const t of tokens) {
+    if (!byChain.has(t.chainId)) byChain.set(t.chainId, []);
+    byChain.get(t.chainId).push(t);
+  }
+  return chains.map(c => {
+    const toks = byChain.get(c.id) || [];
+    const adj = c.adjudication || null;
+    const scores = scoredOf(adj).map(a => a.score).filter(s => typeof s === 'number');
+    const opened = toks.filter(t => t.opened).length, answered = toks.filter(t => t.answered).length;
+    return {
+      id: c.id, circleId: c.circleId || 'default', mode: c.mode || null, status: c.status, question: c.question,
+      askedBy: c.askedBy || null, createdAt: c.createdAt, firedAt: c.firedAt || null, adjudicatedAt: adjudicatedAt(c),
+      sent: toks.length, opened, answered, openRate: rate(opened, toks.length), answerRate: rate(answered, toks.length),
+      scorer: (adj && adj.scorer) || null,
+      winner: adj ? adj.winner || adj.actor || null : null, loser: (adj && adj.loser) || null,
+      topScore: scores.length ? Math.max(...scores) : null,
+      revealed: adj && adj.revealed ? adj.revealed.length : 0,
+      vote: (adj && adj.vote) || null
+    };
+  });
+}
+
+function answerRows(chains) {
+  const rows = [];
+  for (const c of chains) {
+    const scored = new Map(scoredOf(c.adjudication).map(a => [a.who, a.score]));
+    for (const e of (c.events || []).filter(x => x.type === 'answer')) {
+      rows.push({
+        chainId: c.id, circleId: c.circleId || 'default', mode: c.mode || null,
+        who: e.who, turn: e.turn || 1, at: e.at, text: e.text || '',
+        threadScore: scored.has(e.who) ? scored.get(e.who) : null
+      });
+    }
+  }
+  return rows;
+}
+
+function mirroredRecords(chains) {
+  const rec = new Map();
+  const get = p => { if (!rec.has(p)) rec.set(p, { phone: p, wins: 0, losses: 0 }); return rec.get(p); };
+  for (const c of chains) {
+    const adj = c.adjudication;
+    if (!adj || adj.mode !== 'mirrored') continue;
+    if (adj.winner) get(adj.winner).wins++;
+    if (adj.loser) get(adj.loser).losses++;
+  }
+  return rec;
+}
+
+function userRows(users, tokens, chains) {
+  const records = mirroredRecords(chains);
+  return users.map(u => {
+    const mine = tokens.filter(t => t.recipient === u.phone);
+    const opened = mine.filter(t => t.opened).length, answered = mine.filter(t => t.answered).length;
+    const r = records.get(u.phone) || { wins: 0, losses: 0 };
+    return {
+      phone: u.phone, alias: u.alias || null, consented: !!u.consented, optedOut: !!u.optedOut,
+      consentAt: u.consentAt || null, optOutAt: u.optOutAt || null,
+      sent: mine.length, opened, answered, openRate: rate(opened, mine.length), answerRate: rate(answered, mine.length),
+      medianTimeToOpenMs: distribution(mine.map(t => t.timeToOpenMs)).median,
+      mirroredWins: r.wins, mirroredLosses: r.losses
+    };
+  });
+}
+
+function histogram(values) {
+  const out = {};
+  for (let i = 0; i < SCORE_BUCKETS; i++) out[`${i * SCORE_BUCKET}-${i * SCORE_BUCKET + SCORE_BUCKET - 1}`] = 0;
+  out[`${SCORE_BUCKETS * SCORE_BUCKET}+`] = 0;
+  for (const v of values) {
+    const i = Math.floor(Math.max(0, v) / SCORE_BUCKET);
+    out[Object.keys(out)[Math.min(i, SCORE_BUCKETS)]]++;
+  }
+  return out;
+}
+
+// answered-with-text entries only: a silent recipient's 0 says nothing about the scorer
+function scoreDistributions(chains) {
+  const by = {};
+  for (const c of chains) {
+    const adj = c.adjudication;
+    if (!adj || !adj.scorer) continue;
+    (by[adj.scorer] = by[adj.scorer] || []).push(...scoredOf(adj).filter(a => a.text).map(a => a.score));
+  }
+  const out = {};
+  for (const [name, values] of Object.entries(by)) out[name] = { ...distribution(values), histogram: histogram(values) };
+  return out;
+}
+
+// marked (texted us) → took the oath → was sent a whisper → answered one → left.
+// Leavers are also counted by how many whispers they had been sent before STOP.
+function optOutFunnel(users, tokens) {
+  const sentTo = new Map(), answeredBy = new Set();
+  for (const t of tokens) {
+    (sentTo.get(t.recipient) || sentTo.set(t.recipient, []).get(t.recipient)).push(ms(t.sentAt));
+    if (t.answered) answeredBy.add(t.recipient);
+  }
+  const oath = u => !!u.consentAt || (u.consentLog || []).some(l => l.kind === 'oath' && l.value);
+  const left = users.filter(u => u.optOutAt || (u.consentLog || []).some(l => l.kind === 'opt_out'));
+  const before = { '0': 0, '1': 0, '2-4': 0, '5+': 0 };
+  for (const u of left) {
+    const n = (sentTo.get(u.phone) || []).filter(at => !u.optOutAt || at < ms(u.optOutAt)).length;
+    before[n === 0 ? '0' : n === 1 ? '1' : n < 5 ? '2-4' : '5+']++;
+  }
+  return {
+    marked: users.length,
+    consented: users.filter(oath).length,
+    whispered: users.filter(u => sentTo.has(u.phone)).length,
+    answered: users.filter(u => answeredBy.has(u.phone)).length,
+    optedOut: left.length,
+    stillOut: users.filter(u => u.optedOut).length,
+    optedOutAfterWhispers: before
+  };
+}
+
+function tokenSummary(tokens) {
+  const opened = tokens.filter(t => t.opened).length, answered = tokens.filter(t => t.answered).length;
+  return {
+    sent: tokens.length, opened, openRate: rate(opened, tokens.length),
+    answered, answerRate: rate(answered, tokens.length),
+    timeToOpenMs: distribution(tokens.map(t => t.timeToOpenMs)),
+    timeToAnswerMs: distribution(tokens.map(t => t.timeToAnswerMs))
+  };
+}
+
+function summarize({ chains, users, openedAt, mask = p => p }) {
+  const tokens = tokenRows(chains, openedAt);
+  const byMode = {};
+  for (const mode of [...new Set(tokens.map(t => t.mode || 'unknown'))]) {
+    byMode[mode] = tokenSummary(tokens.filter(t => (t.mode || 'unknown') === mode));
+  }
+  const records = [...mirroredRecords(chains).values()]
+    .sort((a, b) => b.wins - a.wins || a.losses - b.losses)
+    .map(r => ({ ...r, phone: mask(r.phone) }));
+  return {
+    chains: { total: chains.length, adjudicated: chains.filter(c => c.status === 'adjudicated').length },
+    tokens: { ...tokenSummary(tokens), byMode },
+    mirrored: { rounds: chains.filter(c => c.adjudication && c.adjudication.mode === 'mirrored').length, records },
+    scores: scoreDistributions(chains),
+    funnel: optOutFunnel(users, tokens)
+  };
+}
+
+function csvCell(v) {
+  if (v == null) return '';
+  let s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  // a cell a spreadsheet would run as a formula; phone numbers (masked or not) pass
+  if (/^[=@\t\r]/.test(s) || (/^[+-]/.test(s) && !/^[+-][\d.•]+$/.test(s))) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function exportRows(kind, rows, { format = 'ndjson', redact = false, mask = p => p } = {}) {
+  const spec = EXPORTS[kind];
+  if (!spec) throw new Error(`unknown export "${kind}" (use ${EXPORT_KINDS.join(', ')})`);
+  const out = rows.map(r => {
+    const row = {};
+    for (const k of spec.columns) row[k] = r[k] === undefined ? null : r[k];
+    if (redact) {
+      for (const k of spec.phones) if (row[k]) row[k] = mask(row[k]);
+      for (const k of spec.text) row[k] = null;
+    }
+    return row;
+  });
+  if (format === 'csv') {
+    return [spec.columns.join(','), ...out.map(r => spec.columns.map(k => csvCell(r[k])).join(','))].join('\n') + '\n';
+  }
+  if (format === 'ndjson') return out.map(r => JSON.stringify(r)).join('\n') + (out.length ? '\n' : '');
+  throw new Error(`unknown format "${format}" (use csv or ndjson)`);
+}
+
+module.exports = {
+  tokenRows, chainRows, answerRows, userRows, summarize, exportRows, distribution,
+  EXPORT_KINDS
+};
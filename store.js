@@ -0,0 +1,417 @@
+// store.js — storage layer for the Dread engine
+// A repository (users, chains, events, tokens, jobs, outbound messages, mantle…) over a small driver.
+// Drivers keep each row as JSON and provide:
+//   get(table, id)  put(table, row)  remove(table, id)  find(table, where)  tx(fn)  compact()  close()
+// Every call is synchronous on purpose: a handler's read-modify-write cannot interleave
+// with another webhook's, and tx(fn) makes multi-row updates all-or-nothing.
+//   sqlite — better-sqlite3, one table per entity, indexed lookup columns (default)
+//   json   — lowdb single file, fine for a handful of friends
+// `node store.js migrate [dread_db.json] [dread.sqlite]` copies a lowdb file into SQLite.
+// With a data key (DATA_KEY) answers and phone numbers are encrypted field by field
+// before they reach either driver; see Field encryption.
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+// key: primary key field on the row; index: fields find() can look up without a scan
+const TABLES = {
+  users:  { key: 'phone', index: [] },
+  chains: { key: 'id',    index: ['status'] },
+  events: { key: 'id',    index: ['chainId'] },
+  tokens: { key: 'token', index: ['chainId', 'recipient'] },
+  jobs:   { key: 'id',    index: ['status', 'key'] },
+  sids:   { key: 'sid',   index: [] },
+  messages: { key: 'id',  index: ['status', 'sid', 'chainId', 'to'] },
+  schedules: { key: 'id', index: [] },
+  questions: { key: 'id', index: [] },
+  circles: { key: 'id',   index: ['number'] },
+  brackets: { key: 'id',  index: [] },
+  audit:  { key: 'id',    index: ['circleId'] },
+  meta:   { key: 'key',   index: [] }
+};
+
+function matches(row, where) {
+  for (const k of Object.keys(where)) if (row[k] !== where[k]) return false;
+  return true;
+}
+function clone(v) { return v === undefined ? null : JSON.parse(JSON.stringify(v)); }
+
+// ---------- SQLite driver ----------
+function createSqliteDriver(file) {
+  const Database = require('better-sqlite3');
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.pragma('secure_delete = ON');   // deleted and rewritten rows are zeroed, not left in free pages
+
+  const stmts = {};
+  for (const [t, { index }] of Object.entries(TABLES)) {
+    const cols = ['k', ...index, 'data'];
+    db.exec(`CREATE TABLE IF NOT EXISTS ${t} (k TEXT PRIMARY KEY${index.map(c => `, "${c}" TEXT`).join('')}, data TEXT NOT NULL)`);
+    for (const c of index) db.exec(`CREATE INDEX IF NOT EXISTS ${t}_${c} ON ${t}("${c}")`);
+    // upsert keeps the rowid, so find() stays in insertion order
+    stmts[t] = {
+      get: db.prepare(`SELECT data FROM ${t} WHERE k = ?`),
+      put: db.prepare(`INSERT INTO ${t} (${cols.map(c => `"${c}"`).join(',')}) VALUES (${cols.map(() => '?').join(',')})
+        ON CONFLICT(k) DO UPDATE SET ${cols.slice(1).map(c => `"${c}" = excluded."${c}"`).join(', ')}`),
+      del: db.prepare(`DELETE FROM ${t} WHERE k = ?`)
+    };
+  }
+  const cached = {};
+  const prepared = sql => cached[sql] || (cached[sql] = db.prepare(sql));
+  const col = v => v == null ? null : String(v);
+
+  return {
+    name: 'sqlite',
+    get(t, id) {
+      const r = stmts[t].get.get(String(id));
+      return r ? JSON.parse(r.data) : null;
+    },
+    put(t, row) {
+      const { key, index } = TABLES[t];
+      stmts[t].put.run(String(row[key]), ...index.map(c => col(row[c])), JSON.stringify(row));
+    },
+    remove(t, id) { stmts[t].del.run(String(id)); },
+    find(t, where = {}) {
+      const idx = Object.keys(where).filter(c => TABLES[t].index.includes(c) && where[c] != null);
+      const sql = `SELECT data FROM ${t}${idx.length ? ' WHERE ' + idx.map(c => `"${c}" = ?`).join(' AND ') : ''} ORDER BY rowid`;
+      return prepared(sql).all(...idx.map(c => String(where[c])))
+        .map(r => JSON.parse(r.data))
+        .filter(r => matches(r, where));
+    },
+    // nested calls become savepoints; a throw rolls back, a returned promise is refused
+    tx(fn) { return db.transaction(fn)(); },
+    // rebuild the file and empty the WAL, so no old page survives anywhere on disk
+    compact() { db.exec('VACUUM'); db.pragma('wal_checkpoint(TRUNCATE)'); },
+    close() { db.close(); }
+  };
+}
+
+// ---------- JSON (lowdb) driver ----------
+function createJsonDriver(file) {
+  const { LowSync, JSONFileSync } = require('lowdb');
+  const db = new LowSync(new JSONFileSync(file));
+  db.read();
+  if (db.data && isLegacy(db.data)) {
+    fs.copyFileSync(file, file + '.legacy.bak');
+    db.data = rowsToTables(legacyRows(db.data));
+    db.write();
+  }
+  db.data = db.data || { version: 2 };
+  for (const t of Object.keys(TABLES)) db.data[t] = db.data[t] || {};
+
+  let depth = 0;
+  const flush = () => { if (!depth) db.write(); };
+  return {
+    name: 'json',
+    get(t, id) { return clone(db.data[t][id]); },
+    put(t, row) { db.data[t][row[TABLES[t].key]] = clone(row); flush(); },
+    remove(t, id) { delete db.data[t][id]; flush(); },
+    find(t, where = {}) { return Object.values(db.data[t]).filter(r => matches(r, where)).map(clone); },
+    // writes are held until the outermost tx returns; a throw reloads the last saved file
+    tx(fn) {
+      depth++;
+      let out;
+      try {
+        out = fn();
+        if (out && typeof out.then === 'function') throw new TypeError('Transaction function cannot return a promise');
+      } catch (e) {
+        if (--depth === 0) db.read();
+        throw e;
+      }
+      depth--;
+      flush();
+      return out;
+    },
+    compact() {},   // every write already rewrites the whole file
+    close() {}
+  };
+}
+
+// ---------- Field encryption ----------
+// Every string shaped like a phone number (E.164), wherever it sits in a row, is
+// sealed with an IV derived from its own HMAC: equal numbers stay equal, so keys,
+// index columns and find() work unchanged. Answer text (SEALED_TEXT fields at any
+// depth) gets a random IV; a sealed field holding a structure (the scorer's words
+// and breakdown) is sealed whole, as JSON. AES-256-GCM throughout; reads open
+// whatever is sealed and pass anything else through. The store remembers a fingerprint of its key:
+// opening it without that key, or with another one, is refused.
+const PHONE_RE = /^\+[1-9]\d{6,14}$/;
+const SEALED_TEXT = {
+  tokens: ['respondedText', 'draft'],
+  events: ['text'],
+  chains: ['text', 'answer', 'words', 'breakdown'],
+  messages: ['body']
+};
+const SEALED = 'enc1:';
+const SEALED_JSON = 'enc1j:';
+
+function createCipher(secret) {
+  const derive = info => Buffer.from(crypto.hkdfSync('sha256', Buffer.from(String(secret), 'utf8'), Buffer.alloc(0), info, 32));
+  const encKey = derive('dread field encryption'), ivKey = derive('dread field iv');
+  const seal = (plain, iv) => {
+    const c = crypto.createCipheriv('aes-256-gcm', encKey, iv);
+    const ct = Buffer.concat([c.update(plain, 'utf8'), c.final()]);
+    return SEALED + Buffer.concat([iv, c.getAuthTag(), ct]).toString('base64url');
+  };
+  return {
+    fingerprint: crypto.createHmac('sha256', ivKey).update('fingerprint').digest('hex').slice(0, 16),
+    fixed: plain => seal(plain, crypto.createHmac('sha256', ivKey).update(plain).digest().subarray(0, 12)),
+    random: plain => seal(plain, crypto.randomBytes(12)),
+    open(sealed) {
+      const buf = Buffer.from(sealed.slice(SEALED.length), 'base64url');
+      const d = crypto.createDecipheriv('aes-256-gcm', encKey, buf.subarray(0, 12));
+      d.setAuthTag(buf.subarray(12, 28));
+      return Buffer.concat([d.update(buf.subarray(28)), d.final()]).toString('utf8');
+    }
+  };
+}
+
+function sealValue(cipher, v, text, inText = false) {
+  if (typeof v === 'string') {
+    if (v.startsWith(SEALED) || v.startsWith(SEALED_JSON)) return v;
+    if (inText) return cipher.random(v);
+    return PHONE_RE.test(v) ? cipher.fixed(v) : v;
+  }
+  if (inText && v != null) return SEALED_JSON + cipher.random(JSON.stringify(v)).slice(SEALED.length);
+  if (Array.isArray(v)) return v.map(x => sealValue(cipher, x, text, inText));
+  if (v && typeof v === 'object') {
+    const out = {};
+    for (const [k, x] of Object.entries(v)) out[k] = sealValue(cipher, x, text, inText || text.includes(k));
+    return out;
+  }
+  return v;
+}
+
+function openValue(cipher, v) {
+  if (typeof v === 'string') {
+    if (v.startsWith(SEALED_JSON)) return JSON.parse(cipher.open(SEALED + v.slice(SEALED_JSON.length)));
+    return v.startsWith(SEALED) ? cipher.open(v) : v;
+  }
+  if (Array.isArray(v)) return v.map(x => openValue(cipher, x));
+  if (v && typeof v === 'object') {
+    const out = {};
+    for (const [k, x] of Object.entries(v)) out[k] = openValue(cipher, x);
+    return out;
+  }
+  return v;
+}
+
+// same driver interface, sealing on the way in and opening on the way out
+function sealDriver(driver, cipher) {
+  const text = t => SEALED_TEXT[t] || [];
+  const key = k => typeof k === 'string' && PHONE_RE.test(k) ? cipher.fixed(k) : k;
+  return {
+    ...driver,
+    get: (t, id) => openValue(cipher, driver.get(t, key(id))),
+    put: (t, row) => driver.put(t, sealValue(cipher, row, text(t))),
+    remove: (t, id) => driver.remove(t, key(id)),
+    find: (t, where = {}) => driver.find(t, sealValue(cipher, where, [])).map(r => openValue(cipher, r))
+  };
+}
+
+// A store opened with a key for the first time (plaintext rows from before,
+// or a fresh import) is sealed row by row in one transaction. There is no key
+// rotation: export, wipe and re-import to change it.
+function withDataKey(driver, dataKey) {
+  const mark = driver.get('meta', 'sealedWith');
+  if (!dataKey) {
+    if (mark) throw new Error('this store is encrypted: set DATA_KEY');
+    return driver;
+  }
+  const cipher = createCipher(dataKey);
+  if (mark && mark.value !== cipher.fingerprint) throw new Error('DATA_KEY does not match the key this store was encrypted with');
+  const sealed = sealDriver(driver, cipher);
+  if (!mark) {
+    driver.tx(() => {
+      for (const [t, { key }] of Object.entries(TABLES)) {
+        for (const row of driver.find(t)) {
+          const out = sealValue(cipher, row, SEALED_TEXT[t] || []);
+          if (out[key] !== row[key]) driver.remove(t, row[key]);
+          driver.put(t, out);
+        }
+      }
+      driver.put('meta', { key: 'sealedWith', value: cipher.fingerprint });
+    });
+    driver.compact();
+  }
+  return sealed;
+}
+
+// ---------- Legacy lowdb layout (server.js v1 dread_db.json) ----------
+// { users:{phone:u}, chains:[{…, events:[…]}], tokens:{token:t}, mantle, phraseCall, lastPingAt, jobs:[], inboundSids:{} }
+function isLegacy(data) { return !data.version && Array.isArray(data.chains); }
+
+function legacyRows(data) {
+  const rows = { users: [], chains: [], events: [], tokens: [], jobs: [], sids: [], messages: [], schedules: [], questions: [], circles: [], brackets: [], audit: [], meta: [] };
+  for (const [phone, u] of Object.entries(data.users || {})) rows.users.push({ ...u, phone });
+  for (const c of data.chains || []) {
+    const { events = [], ...chain } = c;
+    rows.chains.push(chain);
+    events.forEach((ev, i) => rows.events.push({ ...ev, id: `${c.id}:${i}`, chainId: c.id }));
+  }
+  for (const [token, t] of Object.entries(data.tokens || {})) rows.tokens.push({ ...t, token });
+  for (const j of data.jobs || []) rows.jobs.push(j);
+  for (const [sid, at] of Object.entries(data.inboundSids || {})) rows.sids.push({ sid, seenAt: at });
+  for (const key of ['mantle', 'phraseCall', 'lastPingAt']) {
+    if (data[key] != null) rows.meta.push({ key, value: data[key] });
+  }
+  return rows;
+}
+
+function rowsToTables(rows) {
+  const data = { version: 2 };
+  for (const [t, { key }] of Object.entries(TABLES)) {
+    data[t] = {};
+    for (const r of rows[t] || []) data[t][r[key]] = r;
+  }
+  return data;
+}
+
+// rows from either a legacy lowdb file or a JSON-driver file
+function readJsonRows(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (isLegacy(data)) return legacyRows(data);
+  const rows = {};
+  for (const t of Object.keys(TABLES)) rows[t] = Object.values(data[t] || {});
+  return rows;
+}
+
+function importRows(driver, rows) {
+  const counts = {};
+  driver.tx(() => {
+    for (const t of Object.keys(TABLES)) {
+      for (const r of rows[t] || []) driver.put(t, r);
+      counts[t] = (rows[t] || []).length;
+    }
+  });
+  return counts;
+}
+
+// ---------- Repository ----------
+function createRepo(driver) {
+  const repo = {
+    driver,
+    tx: fn => driver.tx(fn),
+    close: () => driver.close(),
+    isEmpty: () => !driver.find('users').length && !driver.find('chains').length,
+
+    // users: { phone, consented, optedOut, alias?, consentAt?, optOutAt? }
+    getUser: phone => driver.get('users', phone),
+    saveUser: user => driver.put('users', user),
+    listUsers: (where = {}) => driver.find('users', where),
+    deleteUser: phone => driver.remove('users', phone),
+
+    // chains are stored without events; getChain() attaches them in order
+    getChain(id) {
+      const chain = driver.get('chains', id);
+      if (chain) chain.events = repo.listEvents(id);
+      return chain;
+    },
+    saveChain({ events, ...chain }) { driver.put('chains', chain); },
+    listChains: (where = {}) => driver.find('chains', where),
+
+    // events: { id, chainId, type, at, … }
+    appendEvent(chainId, ev) {
+      const row = { ...ev, id: 'ev_' + crypto.randomBytes(6).toString('hex'), chainId };
+      driver.put('events', row);
+      return row;
+    },
+    getEvent: id => driver.get('events', id),
+    listEvents: chainId => driver.find('events', { chainId }),
+    saveEvent: ev => driver.put('events', ev),
+    deleteEvent: id => driver.remove('events', id),
+
+    // tokens: { token, chainId, circleId, recipient, sentAt, openedAt, deadline, used, respondedText }
+    getToken: token => driver.get('tokens', token),
+    saveToken: tok => driver.put('tokens', tok),
+    tokensForChain: chainId => driver.find('tokens', { chainId }),
+    tokensForRecipient: recipient => driver.find('tokens', { recipient }),
+    listTokens: (where = {}) => driver.find('tokens', where),
+    deleteToken: token => driver.remove('tokens', token),
+
+    // jobs: { id, type, key, payload, runAt, status, attempts, … }
+    getJob: id => driver.get('jobs', id),
+    saveJob: job => driver.put('jobs', job),
+    findJobs: (where = {}) => driver.find('jobs', where),
+    deleteJob: id => driver.remove('jobs', id),
+
+    // outbound queue: { id, to, body, chainId, eventId, status, attempts, runAt, sid, … }
+    getMessage: id => driver.get('messages', id),
+    saveMessage: msg => driver.put('messages', msg),
+    findMessages: (where = {}) => driver.find('messages', where),
+    messageBySid: sid => driver.find('messages', { sid })[0] || null,
+    deleteMessage: id => driver.remove('messages', id),
+
+    // schedules: { id, name, participants, questions, questionIndex, recurrence, quietHours, paused, nextRunAt, … }
+    getSchedule: id => driver.get('schedules', id),
+    saveSchedule: sched => driver.put('schedules', sched),
+    listSchedules: (where = {}) => driver.find('schedules', where),
+    deleteSchedule: id => driver.remove('schedules', id),
+
+    // question bank: { id, text, tags, intensity 1-5, archived, createdAt }
+    getQuestion: id => driver.get('questions', id),
+    saveQuestion: q => driver.put('questions', q),
+    listQuestions: (where = {}) => driver.find('questions', where),
+
+    // circles: { id, name, number, members, settings, createdAt }
+    getCircle: id => driver.get('circles', id),
+    saveCircle: circle => driver.put('circles', circle),
+    listCircles: (where = {}) => driver.find('circles', where),
+
+    // brackets: { id, circleId, entrants, alive, round, heats, group, advance, status, champion, … }
+    getBracket: id => driver.get('brackets', id),
+    saveBracket: b => driver.put('brackets', b),
+    listBrackets: (where = {}) => driver.find('brackets', where),
+
+    // mantle audit trail: { id, circleId, holder, action, …detail, at }
+    addAudit: entry => driver.put('audit', entry),
+    listAudit: (where = {}) => driver.find('audit', where),
+    deleteAudit: id => driver.remove('audit', id),
+
+    // inbound MessageSids (replay guard)
+    seenSid: sid => !!driver.get('sids', sid),
+    rememberSid: (sid, at) => driver.put('sids', { sid, seenAt: at }),
+    pruneSids(cutoff) {
+      for (const r of driver.find('sids')) if (r.seenAt < cutoff) driver.remove('sids', r.sid);
+    },
+
+    // singletons: mantle, phraseCall (per circle: 'mantle:<circleId>'), lastPingAt
+    getMeta(key) { const r = driver.get('meta', key); return r ? r.value : null; },
+    setMeta(key, value) {
+      if (value == null) driver.remove('meta', key);
+      else driver.put('meta', { key, value });
+    }
+  };
+  return repo;
+}
+
+// driver 'sqlite' imports jsonPath on first boot when the SQLite file is new;
+// dataKey turns on field encryption (and seals an existing plaintext store)
+function openStore({ driver = 'sqlite', sqlitePath = 'dread.sqlite', jsonPath = 'dread_db.json', dataKey = null } = {}) {
+  if (driver === 'json') return createRepo(withDataKey(createJsonDriver(jsonPath), dataKey));
+  if (driver !== 'sqlite') throw new Error(`unknown STORE_DRIVER "${driver}" (use sqlite or json)`);
+  const raw = createSqliteDriver(sqlitePath);
+  if (createRepo(raw).isEmpty() && jsonPath && fs.existsSync(jsonPath)) {
+    const counts = importRows(raw, readJsonRows(jsonPath));
+    console.log(`imported ${jsonPath} into ${sqlitePath}:`, counts);
+  }
+  return createRepo(withDataKey(raw, dataKey));
+}
+
+module.exports = { openStore, createRepo, createSqliteDriver, createJsonDriver, readJsonRows, importRows, TABLES };
+
+if (require.main === module) {
+  const [cmd, jsonPath = 'dread_db.json', sqlitePath = 'dread.sqlite'] = process.argv.slice(2);
+  if (cmd !== 'migrate') {
+    console.error('usage: node store.js migrate [dread_db.json] [dread.sqlite]');
+    process.exit(1);
+  }
+  const repo = createRepo(createSqliteDriver(sqlitePath));
+  if (!repo.isEmpty()) {
+    console.error(`${sqlitePath} already has data; refusing to merge into it.`);
+    process.exit(1);
+  }
+  console.log(importRows(repo.driver, readJsonRows(jsonPath)));
+  repo.close();
+}
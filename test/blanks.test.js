@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { boot } = require('./harness');
+
+const h = boot({ BLANK_PROB: '1' });
+const { s, admin, text, lastTo, fire } = h;
+const ana = '+15550015001', ben = '+15550015002';
+
+test('blank payloads survive the zero-width round trip', () => {
+  for (const payload of ['riddle|||JACKDAW ASCENDS|||bl_1', 'ñandú — ☾ …', '']) {
+    assert.strictEqual(s.decodeInvisible(s.encodeInvisible(payload)), payload || null);
+  }
+  assert.strictEqual(s.decodeInvisible('nothing hidden'), null);
+});
+
+test('a blank rides along with a round; whoever texts it back has found it', async () => {
+  for (const p of [ana, ben]) await text(p, 'I CONSENT TO DREAD');
+  const chain = await fire('what is missing?', [ana, ben]);
+  const sent = (await admin('GET', `/admin/chains/${chain.id}`)).events.find(e => e.type === 'blank_sent');
+  const other = sent.to === ana ? ben : ana;
+  const blank = s.transport.sentTo(sent.to).find(m => s.decodeInvisible(m.body));
+  assert.ok(blank, 'the blank went out');
+
+  // forwarded to the other one, who texts it in
+  await text(other, `look: ${blank.body}`);
+  assert.match(lastTo(other), /you found what was hidden\./);
+  const [found] = s.store.getUser(other).blanksFound;
+  assert.deepStrictEqual({ blankId: found.blankId, via: found.via, sentTo: found.sentTo }, { blankId: sent.blankId, via: 'sms', sentTo: sent.to });
+
+  const page = await fetch(`${h.base}/decode`, { method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' }, body: new URLSearchParams({ message: blank.body }) });
+  assert.match(await page.text(), /<strong>phrase:<\/strong>/);
+  const rows = await admin('GET', '/admin/blanks');
+  assert.strictEqual(rows.find(r => r.phone === sent.to).sent, 1);
+  assert.strictEqual(rows.find(r => r.phone === other).found, 1);
+});
+
+test('a blank counts once per finder, and a paste on /decode is credited to no one', async () => {
+  const cy = '+15550015003';
+  await text(cy, 'I CONSENT TO DREAD');
+  const blank = s.encodeInvisible('riddle|||JACKDAW ASCENDS|||bl_once');
+  await text(cy, blank);
+  await text(cy, blank);
+  assert.match(lastTo(cy), /you found what was hidden/);
+  assert.strictEqual(s.store.getUser(cy).blanksFound.filter(f => f.blankId === 'bl_once').length, 1);
+
+  const page = await fetch(`${h.base}/decode`, { method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' }, body: new URLSearchParams({ message: blank }) });
+  assert.match(await page.text(), /JACKDAW ASCENDS/);
+  assert.strictEqual(s.store.getUser(cy).blanksFound.length, 1);
+  const web = (await admin('GET', '/admin/blanks/web')).find(w => w.blankId === 'bl_once');
+  assert.strictEqual(web.pastes, 1);
+});
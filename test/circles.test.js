@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { boot } = require('./harness');
+
+const h = boot();
+const { s, admin, tokenOf } = h;
+const ana = '+15550011001', ben = '+15550011002';
+const MOTHS = '+15550011900';
+
+test('a circle needs its own E.164 number and known settings', async () => {
+  assert.match((await admin('POST', '/admin/circles', { id: 'moths' })).error, /number required/);
+  assert.match((await admin('POST', '/admin/circles', { id: 'moths', number: '555' })).error, /E\.164/);
+  assert.match((await admin('POST', '/admin/circles', { id: 'moths', number: MOTHS, settings: { colour: 'grey' } })).error, /unknown setting/);
+  const { circle } = await admin('POST', '/admin/circles', { id: 'moths', number: MOTHS, members: [ana], settings: { soloWindowSeconds: 60 } });
+  assert.strictEqual(circle.settings.soloWindowSeconds, 60);
+  assert.match((await admin('POST', '/admin/circles', { id: 'lamps', number: MOTHS })).error, /already belongs to circle "moths"/);
+});
+
+test('texts are routed by the number they reach, and a circle\'s round goes out from its number', async () => {
+  await s.transport.inject(ana, 'I CONSENT TO DREAD', MOTHS); await s.runDueJobs();
+  assert.strictEqual(s.transport.sentTo(ana).slice(-1)[0].from, MOTHS);
+  await s.transport.inject(ben, 'I CONSENT TO DREAD'); await s.runDueJobs();
+  assert.strictEqual(s.transport.sentTo(ben).slice(-1)[0].from, s.transport.from);
+
+  // ben is not a member of moths, so only ana can be whispered to
+  const chain = await admin('POST', '/create', { circleId: 'moths', question: 'what do you circle?', participants: [ana, ben], window: { min: 1, max: 1 } });
+  s.clock.advance(61000); await s.runDueJobs();
+  const fired = await admin('GET', `/admin/chains/${chain.id}`);
+  assert.strictEqual(fired.circleId, 'moths');
+  assert.deepStrictEqual(fired.recipients, [ana]);
+  assert.ok(tokenOf(ana));
+  assert.ok(s.transport.sentTo(ana).filter(m => m.body.includes('/open/')).every(m => m.from === MOTHS));
+});
+
+test('circle members: add and remove take arrays of E.164 phones', async () => {
+  assert.ok((await admin('POST', '/admin/circles', { id: 'lamps', number: '+15550011901', members: [ana] })).ok);
+  const post = body => fetch(`${h.base}/admin/circles/lamps/members`, { method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-admin': 'test-secret' }, body: JSON.stringify(body) });
+  for (const bad of [{ add: ben }, { remove: 5 }, { add: ['555-0100'] }, { add: [null] }]) {
+    const r = await post(bad);
+    assert.strictEqual(r.status, 400);
+    assert.ok((await r.json()).error);
+  }
+  assert.deepStrictEqual((await (await post({ add: [ben, ben], remove: [ana] })).json()).members, [ben]);
+});
+
+test('PATCH checks the number as create does; only the default circle goes without one', async () => {
+  for (const number of [null, '555', 15550011902]) {
+    assert.match((await admin('PATCH', '/admin/circles/moths', { number })).error, /number required|E\.164/, String(number));
+  }
+  assert.strictEqual((await admin('GET', '/admin/circles/moths')).number, MOTHS);
+  assert.ok((await admin('PATCH', '/admin/circles/default', { number: null })).ok);
+});
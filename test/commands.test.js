@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { boot } = require('./harness');
+
+const h = boot({ MIRROR_CHANCE: '1' });
+const { s, admin, text, lastTo, tokenOf, answerOnPage, fire } = h;
+const ana = '+15550009101', ben = '+15550009102', cy = '+15550009103';
+
+test('HELP and STOP answer anyone; the rest wait for the oath', async () => {
+  await text(cy, 'help');
+  assert.match(lastTo(cy), /STATUS · ALIAS <name>/);
+  await text(cy, 'status');
+  assert.match(lastTo(cy), /I CONSENT TO DREAD/);
+  await text(cy, '  Stop ');
+  assert.match(lastTo(cy), /you have left the circle\.$/);
+  await text(cy, 'START');
+  assert.match(lastTo(cy), /nothing to return to\./);
+});
+
+test('ALIAS, PAUSE and RESUME', async () => {
+  for (const p of [ana, ben]) await text(p, 'I CONSENT TO DREAD');
+  await text(ana, 'alias   the  moth');
+  assert.match(lastTo(ana), /you will be known as the moth\.$/);
+  await text(ana, 'ALIAS <script>');
+  assert.match(lastTo(ana), /that name will not hold/);
+  assert.strictEqual(s.store.getUser(ana).alias, 'the moth');
+
+  await text(ana, 'PAUSE forever');
+  assert.match(lastTo(ana), /pause how long\?/);
+  await text(ana, 'PAUSE 2h');
+  assert.ok(Math.abs(s.store.getUser(ana).pausedUntil - (s.clock.now() + 2 * 3600 * 1000)) < 50);
+  const passed = await fire('who is watching?', [ana, ben]);
+  assert.deepStrictEqual((await admin('GET', `/admin/chains/${passed.id}`)).recipients, [ben]);
+  await text(ben, 'STATUS');
+  assert.match(lastTo(ben), /1 whisper waits for you\./);
+  await admin('POST', `/admin/chains/${passed.id}/cancel`);
+
+  await text(ana, 'resume');
+  assert.match(lastTo(ana), /you may be chosen again\.$/);
+  assert.strictEqual(s.store.getUser(ana).pausedUntil, undefined);
+});
+
+test('DELETE ME forgets the user and every trace of them in the rounds they played', async () => {
+  const chain = await fire('what did you take?', [ana, ben]);
+  await answerOnPage(tokenOf(ana), 'the letters');
+  await answerOnPage(tokenOf(ben), 'nothing');
+  s.clock.advance(1000); await s.runDueJobs();
+  const sched = await admin('POST', '/admin/schedules', { participants: [ana, ben], questions: ['again?'], recurrence: { cron: '0 12 * * *', windowMinutes: 0, timezone: 'UTC' } });
+
+  await text(ana, 'delete me');
+  assert.match(lastTo(ana), /you have been forgotten\./);
+  assert.strictEqual(s.store.getUser(ana), null);
+  assert.deepStrictEqual(s.store.tokensForRecipient(ana), []);
+  const after = await admin('GET', `/admin/chains/${chain.id}`);
+  assert.deepStrictEqual(after.participants, [ben]);
+  assert.deepStrictEqual(after.recipients, [ben]);
+  assert.ok(!JSON.stringify(after).includes(ana));
+  assert.ok(!JSON.stringify(after).includes('the letters'));
+  assert.ok(after.events.some(e => e.type === 'answer' && e.who === ben));
+  assert.deepStrictEqual((await admin('GET', `/admin/schedules/${sched.schedule.id}`)).participants, [ben]);
+});
+
+test('a mirrored round whose every recipient was forgotten still closes', async () => {
+  const [dot, eve] = ['+15550009104', '+15550009105'];
+  for (const p of [dot, eve]) await text(p, 'I CONSENT TO DREAD');
+  const chain = await fire('what did you leave?', [dot, eve]);
+  assert.strictEqual((await admin('GET', `/admin/chains/${chain.id}`)).mode, 'mirrored');
+  for (const p of [dot, eve]) await text(p, 'DELETE ME');
+  s.clock.advance(62*60000); await s.runDueJobs();
+  const { status, adjudication } = await admin('GET', `/admin/chains/${chain.id}`);
+  assert.strictEqual(status, 'adjudicated');
+  assert.deepStrictEqual({ winner: adjudication.winner, answers: adjudication.answers }, { winner: null, answers: [] });
+});
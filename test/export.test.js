@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { boot, mask } = require('./harness');
+
+const h = boot({ MIRROR_CHANCE: '1' });
+const { s, text, tokenOf, answerOnPage, fire } = h;
+const ana = '+15550018001', ben = '+15550018002';
+const get = p => fetch(h.base + p, { headers: { 'x-admin': 'test-secret' } });
+
+test('exports come as CSV or NDJSON, and redact=1 masks phones and drops what was said', async () => {
+  for (const p of [ana, ben]) await text(p, 'I CONSENT TO DREAD');
+  await text(ana, 'ALIAS the moth');
+  await fire('what did you keep?', [ana, ben]);
+  await answerOnPage(tokenOf(ana), 'her letters, all of them');
+  await answerOnPage(tokenOf(ben), 'nothing');
+  s.clock.advance(1000); await s.runDueJobs();
+
+  const answers = (await (await get('/admin/export/answers')).text()).trim().split('\n').map(JSON.parse);
+  assert.deepStrictEqual(answers.map(a => [a.who, a.text]).sort(), [[ana, 'her letters, all of them'], [ben, 'nothing']]);
+
+  const redacted = (await (await get('/admin/export/answers?redact=1')).text()).trim().split('\n').map(JSON.parse);
+  assert.deepStrictEqual(redacted.map(a => [a.who, a.text]).sort(), [[mask(ana), null], [mask(ben), null]]);
+
+  const res = await get('/admin/export/users?format=csv');
+  assert.match(res.headers.get('content-type'), /^text\/csv/);
+  assert.match(res.headers.get('content-disposition'), /dread-users\.csv/);
+  const [head, ...rows] = (await res.text()).trim().split('\n');
+  assert.ok(head.startsWith('phone,alias,consented,optedOut'));
+  assert.ok(rows.some(r => r.startsWith(`${ana},the moth,true,false`)));
+  assert.match(await (await get('/admin/export/answers?format=csv')).text(), /,"her letters, all of them",/);
+
+  const csv = await (await get('/admin/export/users?format=csv&redact=1')).text();
+  assert.ok(!csv.includes(ana) && !csv.includes('the moth'));
+  assert.ok(csv.includes(`${mask(ana)},,true`));
+
+  const chains = (await (await get('/admin/export/chains?redact=1')).text()).trim().split('\n').map(JSON.parse);
+  assert.strictEqual(chains[0].winner, mask(ana));
+  assert.strictEqual(chains[0].mode, 'mirrored');
+});
+
+test('bad exports and stats scopes are refused', async () => {
+  assert.strictEqual((await get('/admin/export/secrets')).status, 404);
+  assert.strictEqual((await get('/admin/export/users?format=xml')).status, 400);
+  assert.strictEqual((await get('/admin/stats?since=yesterday')).status, 400);
+  const stats = await (await get('/admin/stats?redact=1')).json();
+  assert.strictEqual(stats.chains.adjudicated, 1);
+  assert.strictEqual(stats.mirrored.rounds, 1);
+  assert.ok(!JSON.stringify(stats).includes(ana));
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { boot, mask } = require('./harness');
+
+const h = boot();
+const { s, admin, text, tokenOf, answerOnPage } = h;
+const ana = '+15550013001', ben = '+15550013002', cy = '+15550013003', dee = '+15550013004';
+const everyone = [ana, ben, cy, dee];
+// from least to most exposed
+const ANSWERS = { [ana]: 'rain', [ben]: 'i lied once', [cy]: 'i am ashamed and afraid', [dee]: 'i hid my secret, i lied and i am ashamed' };
+
+// everyone whispered in these chains answers on the page, and the verdicts play out
+async function answerAll(chainIds){
+  for (const id of chainIds) {
+    for (const who of (await admin('GET', `/admin/chains/${id}`)).recipients) await answerOnPage(tokenOf(who), ANSWERS[who]);
+  }
+  s.clock.advance(1000); await s.runDueJobs();
+}
+
+test('a group round ranks every answer and reveals by policy', async () => {
+  for (const p of everyone) { await text(p, 'I CONSENT TO DREAD'); await text(p, 'REVEAL ON'); }
+  assert.match((await admin('POST', '/create', { question: 'q', participants: everyone, group: { size: 1 } })).error, /2-20/);
+  assert.match((await admin('POST', '/create', { question: 'q', participants: everyone, group: { size: 3, reveal: 'most' } })).error, /top1, top-half, all, none/);
+
+  const chain = await admin('POST', '/create', { question: 'what do you carry?', participants: [ana, ben, cy], group: { size: 3, reveal: 'top1' }, window: { min: 1, max: 1 } });
+  s.clock.advance(61000); await s.runDueJobs();
+  assert.strictEqual((await admin('GET', `/admin/chains/${chain.id}`)).mode, 'group');
+  await answerAll([chain.id]);
+  const { status, adjudication } = await admin('GET', `/admin/chains/${chain.id}`);
+  assert.strictEqual(status, 'adjudicated');
+  assert.deepStrictEqual(adjudication.ranking.map(a => a.who), [cy, ben, ana]);
+  assert.deepStrictEqual(adjudication.revealed, [cy]);
+  assert.ok(s.transport.sentTo(ana).some(m => m.body.includes(`${mask(cy)}: "${ANSWERS[cy]}"`)));
+  assert.ok(!s.transport.sentTo(cy).some(m => m.body.includes(ANSWERS[ben])));
+});
+
+test('a bracket runs heats until one champion is left', async () => {
+  assert.match((await admin('POST', '/admin/brackets', { participants: [ana], questions: ['q'] })).error, /at least two/);
+  const { bracket } = await admin('POST', '/admin/brackets', { participants: everyone, heatSize: 2, questions: ['first?', 'last?'] });
+  await s.runDueJobs();
+  assert.strictEqual(bracket.heats.length, 2);
+  await answerAll(bracket.heats);
+
+  const second = await admin('GET', `/admin/brackets/${bracket.id}`);
+  assert.strictEqual(second.round, 2);
+  assert.deepStrictEqual(second.alive, second.history[0].survivors);
+  assert.strictEqual(second.alive.length, 2);
+  assert.ok(second.alive.includes(dee));
+  await s.runDueJobs();
+  await answerAll(second.heats);
+
+  const done = await admin('GET', `/admin/brackets/${bracket.id}`);
+  assert.strictEqual(done.status, 'done');
+  assert.strictEqual(done.champion, dee);
+  assert.match(h.lastTo(dee), /you outlasted them all\.$/);
+  assert.match(h.lastTo(ana), new RegExp(`${mask(dee).replace(/\+/g, '\\+')} outlasted them all\\.$`));
+});
+
+test('bracket: a round with nobody left to text fails with a reason instead of hanging', async () => {
+  const four = ['+15550001021', '+15550001022', '+15550001023', '+15550001024'];
+  for (const p of four) await text(p, 'I CONSENT TO DREAD');
+  const { bracket } = await admin('POST', '/admin/brackets', { participants: four, heatSize: 2, advance: 1, questions: ['what did you break'] });
+  await s.runDueJobs();
+  assert.strictEqual(bracket.heats.length, 2);
+  for (const p of four) await text(p, 'STOP');
+
+  s.clock.advance(62*60000);
+  await s.runDueJobs();
+  const done = await admin('GET', `/admin/brackets/${bracket.id}`);
+  assert.strictEqual(done.status, 'failed');
+  assert.match(done.reason, /round 2: no heat could be made/);
+  assert.strictEqual(done.unplaced.length, 2);
+});
+
+test('bracket: a heat whose every entrant was forgotten leaves the other heat to decide', async () => {
+  const [fay, gus, hal, ivy] = ['+15550001031', '+15550001032', '+15550001033', '+15550001034'];
+  for (const p of [fay, gus, hal, ivy]) await text(p, 'I CONSENT TO DREAD');
+  const { bracket } = await admin('POST', '/admin/brackets', { participants: [fay, gus, hal, ivy], heatSize: 2, advance: 1, questions: ['what did you drown'] });
+  await s.runDueJobs();
+  const heats = await Promise.all(bracket.heats.map(id => admin('GET', `/admin/chains/${id}`)));
+  const [gone, kept] = heats;
+  for (const p of gone.recipients) await text(p, 'DELETE ME');
+  await answerOnPage(tokenOf(kept.recipients[0]), 'i am ashamed');
+  await answerOnPage(tokenOf(kept.recipients[1]), 'no');
+
+  s.clock.advance(62*60000); await s.runDueJobs();
+  assert.strictEqual((await admin('GET', `/admin/chains/${gone.id}`)).adjudication.winner, null);
+  const done = await admin('GET', `/admin/brackets/${bracket.id}`);
+  assert.strictEqual(done.status, 'done');
+  assert.strictEqual(done.champion, kept.recipients[0]);
+});
+
+test('bracket: a heat with no bank question to ask still ends the round', async () => {
+  const pair = ['+15550001041', '+15550001042'];
+  for (const p of pair) await text(p, 'I CONSENT TO DREAD');
+  const { bracket } = await admin('POST', '/admin/brackets', { participants: pair, heatSize: 2, bank: { tags: ['nothing-has-this-tag'] } });
+  await s.runDueJobs();
+  assert.strictEqual((await admin('GET', `/admin/chains/${bracket.heats[0]}`)).status, 'no_question');
+  const done = await admin('GET', `/admin/brackets/${bracket.id}`);
+  assert.strictEqual(done.status, 'stalled');
+  assert.deepStrictEqual(done.alive.sort(), pair.sort());
+});
+
+test('bracket: cancelling a heat ends the round without it', async () => {
+  const four = ['+15550001051', '+15550001052', '+15550001053', '+15550001054'];
+  for (const p of four) await text(p, 'I CONSENT TO DREAD');
+  const { bracket } = await admin('POST', '/admin/brackets', { participants: four, heatSize: 2, advance: 1, gapMinutes: 10, questions: ['what did you bury'] });
+  await s.runDueJobs();
+  for (const id of bracket.heats) {
+    const { recipients } = await admin('GET', `/admin/chains/${id}`);
+    await answerOnPage(tokenOf(recipients[0]), 'i am ashamed');
+    await answerOnPage(tokenOf(recipients[1]), 'no');
+  }
+  s.clock.advance(1000); await s.runDueJobs();
+  const second = await admin('GET', `/admin/brackets/${bracket.id}`);
+  assert.strictEqual(second.round, 2);
+  assert.deepStrictEqual(await admin('POST', `/admin/chains/${second.heats[0]}/cancel`), { ok: true });
+  const done = await admin('GET', `/admin/brackets/${bracket.id}`);
+  assert.strictEqual(done.status, 'stalled');
+  assert.deepStrictEqual(done.history[1].survivors.sort(), second.alive.sort());
+});
@@ -0,0 +1,52 @@
+// One engine per test file, over the local transport and the fake clock:
+// whispers go out through the outbox, answers come back through inject() and
+// the open page, and runDueJobs() plays the timers. boot() sets the env before
+// the first require('../server'), so call it at the top of the file.
+const test = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function boot(env = {}){
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dread-test-'));
+  Object.assign(process.env, {
+    SMS_TRANSPORT: 'local', SMS_OUTBOX_FILE: path.join(dir, 'outbox.ndjson'), ADMIN_SECRET: 'test-secret',
+    SQLITE_PATH: path.join(dir, 'dread.sqlite'), JSON_DB_PATH: path.join(dir, 'dread_db.json'),
+    MIRROR_CHANCE: '0', REVEAL_PROB: '0', BLANK_PROB: '0', FOLLOW_CHANCE: '0', SMS_PER_SECOND: '0', SMS_PER_NUMBER_PER_MINUTE: '0', ...env
+  });
+  const s = require('../server');
+
+  const h = { s, dir, base: null };
+  test.before(async () => {
+    const srv = s.app.listen(0);
+    await new Promise(r => srv.once('listening', r));
+    srv.unref();
+    h.base = `http://127.0.0.1:${srv.address().port}`;
+  });
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  h.admin = (method, p, body) => fetch(h.base + p, {
+    method, headers: { 'content-type': 'application/json', 'x-admin': 'test-secret' }, body: body && JSON.stringify(body)
+  }).then(r => r.json());
+  h.text = async (phone, body) => { await s.transport.inject(phone, body); await s.runDueJobs(); };
+  h.lastTo = phone => s.transport.sentTo(phone).slice(-1)[0]?.body || '';
+  // the token in the last whisper link texted to phone
+  h.tokenOf = phone => (s.transport.sentTo(phone).map(m => m.body.match(/\/open\/([\w-]+)/)).filter(Boolean).pop() || [])[1];
+  h.answerOnPage = async (token, answer) => {
+    await fetch(`${h.base}/open/${token}`);
+    await fetch(`${h.base}/respond/${token}`, { method: 'POST', redirect: 'manual',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' }, body: new URLSearchParams({ answer }) });
+  };
+  // a chain due in a minute, then the minute played out
+  h.fire = async (question, participants) => {
+    const chain = await h.admin('POST', '/create', { question, participants, window: { min: 1, max: 1 } });
+    s.clock.advance(61000);
+    await s.runDueJobs();
+    return chain;
+  };
+  return h;
+}
+
+const mask = p => `${p.slice(0, -4)}••${p.slice(-2)}`;
+
+module.exports = { boot, mask };
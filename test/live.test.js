@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { boot, mask } = require('./harness');
+
+const h = boot({ MIRROR_CHANCE: '1' });
+const { s, text, tokenOf, answerOnPage, fire } = h;
+const ana = '+15550017001', ben = '+15550017002';
+
+// an open /open/:token/events stream; next(name) resolves with the next event of that name
+function listen(token){
+  const ctl = new AbortController();
+  const seen = [], waiting = [];
+  const deliver = () => {
+    for (const w of [...waiting]) {
+      const i = seen.findIndex(e => e.event === w.event);
+      if (i >= 0) { waiting.splice(waiting.indexOf(w), 1); w.resolve(seen.splice(i, 1)[0].data); }
+    }
+  };
+  (async () => {
+    const res = await fetch(`${h.base}/open/${token}/events`, { signal: ctl.signal });
+    const dec = new TextDecoder(); let buf = '';
+    for await (const chunk of res.body) {
+      buf += dec.decode(chunk, { stream: true });
+      let cut;
+      while ((cut = buf.indexOf('\n\n')) >= 0) {
+        const block = buf.slice(0, cut); buf = buf.slice(cut + 2);
+        const m = block.match(/^event: (\w+)\ndata: (.*)$/s);
+        if (m) { seen.push({ event: m[1], data: JSON.parse(m[2]) }); deliver(); }
+      }
+    }
+  })().catch(() => {});
+  return {
+    next: event => new Promise(resolve => { waiting.push({ event, resolve }); deliver(); }),
+    close: () => ctl.abort()
+  };
+}
+
+test('the stream carries the deadline, what the mirror did, and the verdict', async () => {
+  for (const p of [ana, ben]) await text(p, 'I CONSENT TO DREAD');
+  await fire('what do you owe?', [ana, ben]);
+  const live = listen(tokenOf(ben));
+  const first = await live.next('state');
+  assert.strictEqual(first.used, false);
+
+  await fetch(`${h.base}/open/${tokenOf(ben)}`);
+  const opened = await live.next('state');
+  assert.ok(opened.deadline > opened.now);
+
+  await answerOnPage(tokenOf(ana), 'i lied to my sister');
+  assert.deepStrictEqual(await live.next('notice'), { text: 'your mirror opened theirs.' });
+  assert.deepStrictEqual(await live.next('notice'), { text: 'your mirror has answered.' });
+  await answerOnPage(tokenOf(ben), 'no');
+  assert.strictEqual((await live.next('state')).used, true);
+  s.clock.advance(1000); await s.runDueJobs();
+  assert.deepStrictEqual((await live.next('verdict')).lines, [`${mask(ana)} leaned nearest the abyss.`]);
+  live.close();
+});
+
+test('drafts are saved while the window is open, and never count as an answer', async () => {
+  await fire('what did you throw away?', [ana, ben]);
+  const token = tokenOf(ana);
+  const draft = body => fetch(`${h.base}/open/${token}/draft`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
+  assert.strictEqual((await draft({ draft: 'the ring, and' })).status, 204);
+  assert.match(await (await fetch(`${h.base}/open/${token}`)).text(), />the ring, and<\/textarea>/);
+  assert.strictEqual(s.store.getToken(token).used, false);
+
+  s.clock.advance(24 * 3600 * 1000);
+  assert.strictEqual((await draft({ draft: 'too late' })).status, 409);
+  assert.strictEqual(s.store.getToken(token).draft, 'the ring, and');
+  assert.strictEqual((await fetch(`${h.base}/open/nope/events`)).status, 404);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { boot } = require('./harness');
+
+const h = boot({ MANTLE_HOURS: '24', MANTLE_ASKS_PER_DAY: '1', MANTLE_VOTE_SECONDS: '60' });
+const { s, admin, text, lastTo, tokenOf, answerOnPage } = h;
+const ana = '+15550016001', ben = '+15550016002', cy = '+15550016003';
+const HOUR = 3600 * 1000;
+
+test('the bearer asks by SMS, within a daily limit', async () => {
+  for (const p of [ana, ben, cy]) { await text(p, 'I CONSENT TO DREAD'); await text(p, 'REVEAL ON'); }
+  await text(ben, 'ASK what do you fear?');
+  assert.ok(!lastTo(ben).includes('dread will ask'));
+
+  await admin('POST', '/admin/call-phrase', {});
+  await text(ana, 'jackdaw ascends');
+  assert.match(lastTo(ana), /you wear the name\. one day\./);
+  await text(ana, 'HELP');
+  assert.match(lastTo(ana), /ASK IN 2h <question>/);
+
+  await text(ana, 'ASK IN 2d what did you avoid?');
+  assert.match(lastTo(ana), /will not wait past a day/);
+  for (const bad of ['ASK IN 0h what did you avoid?', 'ASK IN 5x what did you avoid?']) {
+    await text(ana, bad);
+    assert.match(lastTo(ana), /a wait it can count/, bad);
+  }
+  assert.ok(!(await admin('GET', '/admin/chains')).some(c => /^in /i.test(c.question || '')));
+  const askedAt = s.clock.now();
+  await text(ana, 'ASK IN 2h what did you avoid?');
+  assert.match(lastTo(ana), /dread will ask in 2h\.\n0 asks left today\.$/);
+  await text(ana, 'ASK and who did you tell?');
+  assert.match(lastTo(ana), /dread has asked enough today\.$/);
+
+  const [chain] = (await admin('GET', '/admin/chains')).filter(c => c.question === 'what did you avoid?');
+  const asked = await admin('GET', `/admin/chains/${chain.id}`);
+  assert.strictEqual(asked.askedBy, ana);
+  assert.deepStrictEqual([...asked.participants].sort(), [ben, cy]);
+  const at = new Date(asked.scheduledAt).getTime();
+  assert.ok(at >= askedAt + 2 * HOUR && at <= s.clock.now() + 2 * HOUR);
+});
+
+test('a verdict waits for the bearer\'s VOTE, and the vote decides the reveal', async () => {
+  s.clock.advance(2 * HOUR + 1000); await s.runDueJobs();
+  const [chain] = (await admin('GET', '/admin/chains')).filter(c => c.question === 'what did you avoid?');
+  const [who] = (await admin('GET', `/admin/chains/${chain.id}`)).recipients;
+  await answerOnPage(tokenOf(who), 'the dentist');
+  s.clock.advance(1000); await s.runDueJobs();
+  assert.match(lastTo(ana), /a verdict waits on you: "what did you avoid\?"/);
+  assert.strictEqual((await admin('GET', `/admin/chains/${chain.id}`)).status, 'awaiting_answers');
+
+  await text(ana, 'vote reveal');
+  assert.match(lastTo(ana), /dread will show what was said\.$/);
+  const { status, adjudication } = await admin('GET', `/admin/chains/${chain.id}`);
+  assert.strictEqual(status, 'adjudicated');
+  assert.strictEqual(adjudication.vote, 'reveal');
+  assert.deepStrictEqual(adjudication.revealed, [who]);
+  await text(ana, 'VOTE KEEP');
+  assert.match(lastTo(ana), /no verdict waits on you\.$/);
+});
+
+test('when the time runs out the name is handed over, and the audit keeps it all', async () => {
+  s.clock.advance(24 * HOUR); await s.runDueJobs();
+  assert.match(lastTo(ana), /you set down the name\.\ndread calls the phrase/);
+  assert.match(lastTo(ben), /sets down the name\./);
+  const { mantle, audit } = await admin('GET', '/admin/mantle');
+  assert.strictEqual(mantle, null);
+  assert.deepStrictEqual(audit.map(a => a.action).sort(), ['ask', 'ask_refused', 'claimed', 'expired', 'vote']);
+  assert.strictEqual(audit[0].action, 'expired');
+  assert.ok(audit.every(a => a.holder === ana));
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { boot } = require('./harness');
+
+const h = boot({ SMS_PER_NUMBER_PER_MINUTE: '2' });
+const { s, admin, text, fire } = h;
+const ana = '+15550010001', ben = '+15550010002';
+const messagesTo = phone => s.store.findMessages({ to: phone });
+
+test('a number over its per-minute limit waits; the others do not', async () => {
+  for (let i = 0; i < 3; i++) await text(ana, 'HELP');
+  await text(ben, 'HELP');
+  assert.strictEqual(s.transport.sentTo(ana).length, 2);
+  assert.strictEqual(s.transport.sentTo(ben).length, 1);
+  assert.deepStrictEqual(messagesTo(ana).map(m => m.status).sort(), ['queued', 'sent', 'sent']);
+  s.clock.advance(60000); await s.runDueJobs();
+  assert.strictEqual(s.transport.sentTo(ana).length, 3);
+});
+
+test('a failed send is retried with backoff; a 4xx is final', async t => {
+  s.clock.advance(60000); await s.runDueJobs();
+  const send = s.transport.send;
+  let fails = 1;
+  t.mock.method(s.transport, 'send', (...a) => fails-- > 0 ? Promise.reject(Object.assign(new Error('busy'), { status: 503 })) : send(...a));
+  const err = t.mock.method(console, 'error', () => {});
+  await text(ben, 'HELP');
+  const [retry] = messagesTo(ben).filter(m => m.status === 'queued');
+  assert.strictEqual(retry.attempts, 1);
+  s.clock.advance(2000); await s.runDueJobs();
+  assert.strictEqual(s.store.getMessage(retry.id).status, 'sent');
+
+  fails = 1;
+  s.clock.advance(60000);
+  s.transport.send.mock.mockImplementation((...a) => fails-- > 0 ? Promise.reject(Object.assign(new Error('blocked'), { status: 400, code: 21610 })) : send(...a));
+  await text(ben, 'HELP');
+  const failed = messagesTo(ben).find(m => m.status === 'failed');
+  assert.strictEqual(failed.attempts, 1);
+  assert.strictEqual(failed.errorCode, 21610);
+  assert.strictEqual(err.mock.callCount(), 2);
+});
+
+test('POST /sms/status records delivery on the chain event that sent the message', async () => {
+  await text(ana, 'I CONSENT TO DREAD');
+  s.clock.advance(60000);
+  const chain = await fire('who did you forget?', [ana]);
+  const whisper = messagesTo(ana).find(m => m.chainId === chain.id);
+  const post = (status, extra = {}) => {
+    const params = { MessageSid: whisper.sid, MessageStatus: status, ...extra };
+    return fetch(`${h.base}/sms/status`, { method: 'POST', body: new URLSearchParams(params),
+      headers: { 'content-type': 'application/x-www-form-urlencoded', 'x-twilio-signature': s.transport.sign('https://dread.ap/sms/status', params) } });
+  };
+  assert.strictEqual((await post('delivered')).status, 204);
+  assert.strictEqual((await post('sent')).status, 204);   // late and out of order: ignored
+  const ev = (await admin('GET', `/admin/chains/${chain.id}`)).events.find(e => e.id === whisper.eventId);
+  assert.deepStrictEqual({ to: ev.delivery[whisper.id].to, status: ev.delivery[whisper.id].status }, { to: ana, status: 'delivered' });
+  assert.strictEqual(s.store.getMessage(whisper.id).status, 'delivered');
+});
+
+test('STOP drops what was still queued for that number, but its own reply goes', async t => {
+  const cara = '+15550010003';
+  s.clock.advance(60000);
+  await text(cara, 'I CONSENT TO DREAD');
+  const send = s.transport.send;
+  let fails = 1;
+  t.mock.method(s.transport, 'send', (...a) => fails-- > 0 ? Promise.reject(Object.assign(new Error('busy'), { status: 503 })) : send(...a));
+  t.mock.method(console, 'error', () => {});
+  const chain = await fire('what did you burn?', [cara]);
+  const [late] = messagesTo(cara).filter(m => m.status === 'queued');
+  assert.strictEqual(late.chainId, chain.id);
+  await text(cara, 'STOP');
+  s.clock.advance(60000); await s.runDueJobs();
+  assert.strictEqual(s.store.getMessage(late.id).status, 'dropped');
+  assert.strictEqual(s.transport.send.mock.callCount(), 2);
+  assert.match(h.lastTo(cara), /you have left the circle/);
+  const ev = (await admin('GET', `/admin/chains/${chain.id}`)).events.find(e => e.id === late.eventId);
+  assert.strictEqual(ev.delivery[late.id].status, 'dropped');
+});
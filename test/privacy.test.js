@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { boot, mask } = require('./harness');
+
+const h = boot({ MIRROR_CHANCE: '1', REVEAL_PROB: '1' });
+const { s, admin, text, lastTo, tokenOf, answerOnPage, fire } = h;
+const ana = '+15550008001', ben = '+15550008002', cy = '+15550008003';
+
+// both answer a mirrored round, and the verdict reveals every answer (r < 0.55)
+async function mirroredRound(t, answers){
+  const chain = await fire('what are you hiding?', [ana, ben]);
+  for (const [who, answer] of Object.entries(answers)) await answerOnPage(tokenOf(who), answer);
+  t.mock.method(Math, 'random', () => 0);
+  s.clock.advance(1000); await s.runDueJobs();
+  t.mock.restoreAll();
+  return admin('GET', `/admin/chains/${chain.id}`);
+}
+
+test('mirrored: an answer is shown only once its author says REVEAL ON', async t => {
+  for (const p of [ana, ben]) await text(p, 'I CONSENT TO DREAD');
+  await text(ana, 'PRIVACY');
+  assert.match(lastTo(ana), /\nreveal: off/);
+
+  let chain = await mirroredRound(t, { [ana]: 'a second phone', [ben]: 'nothing' });
+  assert.deepStrictEqual(chain.adjudication.revealed, []);
+  assert.ok(s.transport.sentTo(ben).some(m => m.body.includes(`— ${mask(ana)}: "[kept]"`)));
+  assert.ok(!s.transport.sentTo(ben).some(m => m.body.includes('a second phone')));
+
+  await text(ana, 'REVEAL ON');
+  assert.match(lastTo(ana), /your answers may be shown to the circle\.$/);
+  chain = await mirroredRound(t, { [ana]: 'the drawer key', [ben]: 'nothing' });
+  assert.deepStrictEqual(chain.adjudication.revealed, [ana]);
+  assert.ok(s.transport.sentTo(ben).some(m => m.body.includes(`— ${mask(ana)}: "the drawer key"`)));
+  assert.deepStrictEqual(s.store.getUser(ana).consentLog.map(e => `${e.kind}:${e.value}`), ['oath:true', 'reveal:true']);
+});
+
+test('MIRROR OFF keeps a user out of pairing, and a solo exposure still needs REVEAL ON', async t => {
+  await text(cy, 'I CONSENT TO DREAD');
+  await text(cy, 'MIRROR OFF');
+  assert.match(lastTo(cy), /you will not be paired\.$/);
+  for (let i = 0; i < 3; i++) {
+    const chain = await fire('who do you envy?', [ana, ben, cy]);
+    const { mode, recipients } = await admin('GET', `/admin/chains/${chain.id}`);
+    assert.strictEqual(mode, 'mirrored');
+    assert.deepStrictEqual([...recipients].sort(), [ana, ben]);
+    await admin('POST', `/admin/chains/${chain.id}/cancel`);
+  }
+
+  // cy alone is pairable with nobody: a solo whisper, exposed to ana only after REVEAL ON
+  t.mock.method(Math, 'random', () => 0.99);
+  for (const answer of ['the fire', 'the other fire']) {
+    const chain = await fire('what did you start?', [ana, cy]);
+    assert.deepStrictEqual((await admin('GET', `/admin/chains/${chain.id}`)).recipients, [cy]);
+    await answerOnPage(tokenOf(cy), answer);
+    s.clock.advance(1000); await s.runDueJobs();
+    if (answer === 'the fire') {
+      assert.ok(!s.transport.sentTo(ana).some(m => m.body.includes('the fire')));
+      await text(cy, 'REVEAL ON');
+    }
+  }
+  assert.ok(s.transport.sentTo(ana).some(m => m.body.includes(`${mask(cy)} → ${mask(ana)}: "the other fire"`)));
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { boot } = require('./harness');
+
+const h = boot();
+const { s, admin, text, tokenOf, answerOnPage, fire } = h;
+const ana = '+15550007001', ben = '+15550007002';
+
+test('a question needs text and an intensity of 1-5', async () => {
+  assert.match((await admin('POST', '/admin/questions', { tags: ['regret'] })).error, /text/);
+  assert.match((await admin('POST', '/admin/questions', { text: 'what?', intensity: 9 })).error, /1-5/);
+});
+
+test('the bank lists by tag and intensity, and a deleted question is archived', async () => {
+  const { question: soft } = await admin('POST', '/admin/questions', { text: 'what did you keep?', tags: ['Regret'], intensity: 2 });
+  const { question: raw } = await admin('POST', '/admin/questions', { text: 'who did you fail?', tags: ['regret', 'shame'], intensity: 5 });
+  assert.deepStrictEqual(soft.tags, ['regret']);
+  assert.deepStrictEqual((await admin('GET', '/admin/questions?tag=shame')).map(q => q.id), [raw.id]);
+  assert.deepStrictEqual((await admin('GET', '/admin/questions?tag=regret&maxIntensity=3')).map(q => q.id), [soft.id]);
+
+  assert.strictEqual((await admin('PATCH', `/admin/questions/${raw.id}`, { intensity: 4 })).question.intensity, 4);
+  assert.deepStrictEqual(await admin('DELETE', `/admin/questions/${soft.id}`), { ok: true });
+  assert.strictEqual((await admin('GET', `/admin/questions/${soft.id}`)).archived, true);
+  assert.ok(!(await admin('GET', '/admin/questions')).some(q => q.id === soft.id));
+  assert.ok((await admin('GET', '/admin/questions?archived=1')).some(q => q.id === soft.id));
+  await admin('DELETE', `/admin/questions/${raw.id}`);
+});
+
+test('a round drawn from the bank keeps to the oath cap and never repeats a question', async () => {
+  await text(ana, 'I CONSENT TO DREAD 2');
+  await text(ben, 'I CONSENT TO DREAD');
+  const { question: mild } = await admin('POST', '/admin/questions', { text: 'what do you still owe?', tags: ['debt'], intensity: 2 });
+  await admin('POST', '/admin/questions', { text: 'what would you never say aloud?', tags: ['debt'], intensity: 4 });
+
+  const first = await fire(undefined, [ana]);
+  const drawn = await admin('GET', `/admin/chains/${first.id}`);
+  assert.strictEqual(drawn.questionId, mild.id);
+  await answerOnPage(tokenOf(ana), 'my mother a call');
+  assert.deepStrictEqual(s.store.getUser(ana).answeredQuestions, [mild.id]);
+
+  // the only question under her cap is spent
+  const second = await fire(undefined, [ana]);
+  assert.strictEqual((await admin('GET', `/admin/chains/${second.id}`)).status, 'no_question');
+
+  // ben has no cap, but a tag nobody wrote for leaves nothing to draw
+  const third = await admin('POST', '/create', { participants: [ben], tags: ['joy'], window: { min: 1, max: 1 } });
+  s.clock.advance(61000); await s.runDueJobs();
+  assert.strictEqual((await admin('GET', `/admin/chains/${third.id}`)).status, 'no_question');
+});
+
+test('a new oath replaces the intensity cap of the last one', async () => {
+  const cy = '+15550007003';
+  await text(cy, 'I CONSENT TO DREAD 2');
+  assert.strictEqual(s.store.getUser(cy).maxIntensity, 2);
+  await text(cy, 'STOP');
+  await text(cy, 'I CONSENT TO DREAD');
+  assert.strictEqual(s.store.getUser(cy).maxIntensity, undefined);
+});
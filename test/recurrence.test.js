@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCron, nextRun, normalizeRecurrence, inQuietHours } = require('../recurrence');
+
+const at = iso => new Date(iso).getTime();
+
+test('parseCron reads names, ranges, steps and Sunday as 7', () => {
+  const c = parseCron('*/20 19 * * mon-fri,7');
+  assert.deepStrictEqual(c.minutes, [0, 20, 40]);
+  assert.deepStrictEqual(c.hours, [19]);
+  assert.deepStrictEqual([...c.dow].sort(), [0, 1, 2, 3, 4, 5]);
+  assert.throws(() => parseCron('0 25 * * *'), /out of range/);
+  assert.throws(() => parseCron('0 19 * *'), /5 fields/);
+});
+
+test('nextRun finds the next match in the rule timezone', () => {
+  const rule = { cron: '0 19 * * mon', timezone: 'America/Los_Angeles', windowMinutes: 0 };
+  // Sunday 2026-03-01 12:00 UTC -> Monday 19:00 PST = Tuesday 03:00 UTC
+  assert.strictEqual(nextRun(rule, at('2026-03-01T12:00:00Z')).at, at('2026-03-03T03:00:00Z'));
+  // after DST starts (8 March) the same wall-clock time is an hour earlier in UTC
+  assert.strictEqual(nextRun(rule, at('2026-03-10T12:00:00Z')).at, at('2026-03-17T02:00:00Z'));
+});
+
+test('nextRun picks inside the window, and a window still open counts', () => {
+  const rule = { cron: '0 19 * * *', timezone: 'UTC', windowMinutes: 60 };
+  const r = nextRun(rule, at('2026-05-01T19:30:00Z'), () => 1);
+  assert.strictEqual(r.windowStart, at('2026-05-01T19:00:00Z'));
+  assert.strictEqual(r.at, at('2026-05-01T20:00:00Z'));
+  assert.strictEqual(nextRun(rule, r.windowEnd, () => 0).windowStart, at('2026-05-02T19:00:00Z'));
+});
+
+test('normalizeRecurrence turns days/between into cron', () => {
+  assert.deepStrictEqual(normalizeRecurrence({ days: ['mon', 'thu'], between: ['19:30', '21:00'], timezone: 'Europe/Paris' }),
+    { cron: '30 19 * * mon,thu', timezone: 'Europe/Paris', windowMinutes: 90 });
+  assert.throws(() => normalizeRecurrence({ between: ['7pm', '9pm'] }), /HH:MM/);
+});
+
+test('a between window may cross midnight', () => {
+  const rule = normalizeRecurrence({ days: ['fri'], between: ['22:00', '02:00'] });
+  assert.deepStrictEqual(rule, { cron: '0 22 * * fri', timezone: 'UTC', windowMinutes: 240 });
+  // Saturday 01:00 is still inside Friday's window
+  const r = nextRun(rule, at('2026-05-02T01:00:00Z'), () => 1);
+  assert.strictEqual(r.windowStart, at('2026-05-01T22:00:00Z'));
+  assert.strictEqual(r.at, at('2026-05-02T02:00:00Z'));
+});
+
+test('quiet hours may wrap midnight', () => {
+  const q = { start: '22:00', end: '07:00' };
+  assert.ok(inQuietHours(at('2026-05-01T23:30:00Z'), q));
+  assert.ok(inQuietHours(at('2026-05-01T06:59:00Z'), q));
+  assert.ok(!inQuietHours(at('2026-05-01T12:00:00Z'), q));
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { boot } = require('./harness');
+
+const h = boot({ MIRROR_CHANCE: '1', RETENTION_DAYS: '7', SCORER: 'lexicon' });
+const { s, admin, text, lastTo, tokenOf, answerOnPage, fire } = h;
+const ana = '+15550019001', ben = '+15550019002';
+const DAY = 24 * 3600 * 1000;
+
+test('MY DATA texts a private link to everything kept about the number, for a while', async () => {
+  for (const p of [ana, ben]) await text(p, 'I CONSENT TO DREAD');
+  const chain = await fire('what did you bury?', [ana, ben]);
+  await answerOnPage(tokenOf(ana), 'the old dog, i was ashamed');
+  await answerOnPage(tokenOf(ben), 'a ring');
+  s.clock.advance(1000); await s.runDueJobs();
+
+  await text(ana, 'my data');
+  const link = lastTo(ana).match(/\/export\/[\w-]+/)[0];
+  const res = await fetch(h.base + link);
+  assert.match(res.headers.get('content-disposition'), /dread-data\.json/);
+  const data = await res.json();
+  assert.strictEqual(data.phone, ana);
+  assert.strictEqual(data.user.exportGrant, undefined);
+  const [mine] = data.chains;
+  assert.strictEqual(mine.id, chain.id);
+  assert.ok(mine.events.every(e => e.who === ana || e.to === ana));
+  assert.ok(!JSON.stringify(data).includes('a ring'));
+  assert.strictEqual(mine.verdict.you.text, 'the old dog, i was ashamed');
+  assert.deepStrictEqual(mine.verdict.you.words.vulnerable, ['ashamed']);
+
+  assert.strictEqual((await fetch(`${h.base}/export/not-a-link`)).status, 404);
+  s.clock.advance(DAY);
+  assert.strictEqual((await fetch(h.base + link)).status, 410);
+});
+
+test('retention erases answer text, spent tokens and sent messages past the cutoff', async () => {
+  const [chain] = (await admin('GET', '/admin/chains')).filter(c => c.question === 'what did you bury?');
+  assert.strictEqual((await admin('POST', '/admin/retention/run')).answers, 0);
+
+  s.clock.advance(7 * DAY);
+  const out = await admin('POST', '/admin/retention/run');
+  assert.strictEqual(out.answers, 2);
+  assert.ok(out.tokens >= 2 && out.messages > 0);
+  const after = await admin('GET', `/admin/chains/${chain.id}`);
+  assert.ok(after.answersErasedAt);
+  assert.deepStrictEqual(after.events.filter(e => e.type === 'answer').map(e => e.text), [null, null]);
+  assert.deepStrictEqual(after.adjudication.answers.map(a => a.text), [null, null]);
+  assert.ok(after.adjudication.answers.every(a => a.who && typeof a.score === 'number' && !a.words && !a.breakdown));
+  assert.deepStrictEqual(s.store.tokensForChain(chain.id), []);
+  assert.strictEqual(s.store.findMessages({ to: ana }).length, 0);
+
+  // nothing the scorer read off the answers is left in any row on disk
+  const db = new Database(path.join(h.dir, 'dread.sqlite'), { readonly: true });
+  try {
+    const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(t => t.name);
+    const raw = tables.flatMap(t => db.prepare(`SELECT * FROM ${t}`).all().map(r => JSON.stringify(r))).join('\n');
+    assert.match(raw, new RegExp(chain.id));
+    for (const gone of ['ashamed', 'vulnerable', 'negated', 'firstPerson']) assert.ok(!raw.includes(gone), gone);
+  } finally { db.close(); }
+});
@@ -0,0 +1,153 @@
+// End-to-end rounds: the oath, a solo round answered by SMS, a mirrored round
+// answered on the open page.
+const test = require('node:test');
+const assert = require('node:assert');
+const { boot, mask } = require('./harness');
+
+const h = boot({ MIRROR_CHANCE: '1' });
+const { s, admin, text, lastTo, tokenOf, answerOnPage, fire } = h;
+
+const [ana, ben] = ['+15550001001', '+15550001002'];
+const CLOSER = /silence\.|it is enough\.|the moment passed\./;
+
+test('the oath is required before anything else', async () => {
+  await text(ana, 'hello');
+  assert.match(lastTo(ana), /I CONSENT TO DREAD/);
+  for (const p of [ana, ben]) await text(p, 'I CONSENT TO DREAD');
+  assert.match(lastTo(ana), /you may be marked/);
+});
+
+test('solo round: whisper, SMS answer inside the window, verdict', async () => {
+  const { id } = await fire('what did you not say', [ana]);
+  const { mode, tokens: [tok] } = await admin('GET', `/admin/chains/${id}`);
+  assert.strictEqual(mode, 'single');
+  assert.strictEqual(tokenOf(ana), tok.token);
+
+  s.clock.advance(5000);
+  await text(ana, 'that i was afraid');
+  assert.match(lastTo(ana), /answer recorded/);
+  s.clock.advance(1000);
+  await s.runDueJobs();
+  assert.match(lastTo(ana), CLOSER);
+
+  const chain = await admin('GET', `/admin/chains/${id}`);
+  assert.strictEqual(chain.status, 'adjudicated');
+  assert.strictEqual(chain.adjudication.actor, ana);
+  assert.strictEqual(chain.adjudication.answer, 'that i was afraid');
+});
+
+test('solo round: an SMS after the window is not an answer', async () => {
+  const { id } = await fire('what did you keep', [ana]);
+  s.clock.advance(41000);
+  await text(ana, 'too late');
+  assert.doesNotMatch(lastTo(ana), /answer recorded/);
+  await s.runDueJobs();
+  const chain = await admin('GET', `/admin/chains/${id}`);
+  assert.strictEqual(chain.status, 'adjudicated');
+  assert.strictEqual(chain.adjudication.actor, null);
+});
+
+test('solo round: the window starts when the whisper is sent, not when it was queued', async () => {
+  const send = s.transport.send, quiet = console.error;
+  s.transport.send = async () => { throw new Error('carrier down'); };
+  console.error = () => {};
+  let id;
+  try { ({ id } = await fire('what did you hide', [ana])); }
+  finally { s.transport.send = send; console.error = quiet; }
+  assert.strictEqual(s.store.tokensForChain(id)[0].deadline, null);
+
+  s.clock.advance(30000);
+  await s.runDueJobs();
+  const [tok] = s.store.tokensForChain(id);
+  assert.ok(lastTo(ana).includes(`/open/${tok.token}`));
+  assert.ok(Math.abs(tok.deadline - (s.clock.now() + 40000)) < 50);
+
+  s.clock.advance(30000);
+  await text(ana, 'the letter');
+  const chain = s.store.getChain(id);
+  assert.strictEqual(chain.status, 'adjudicated');
+  assert.strictEqual(chain.adjudication.answer, 'the letter');
+});
+
+test('mirrored round: both answer on the page, the higher score wins', async () => {
+  const { id } = await fire('did you take advantage', [ana, ben]);
+  assert.strictEqual((await admin('GET', `/admin/chains/${id}`)).mode, 'mirrored');
+
+  await answerOnPage(tokenOf(ana), 'no');
+  await answerOnPage(tokenOf(ben), 'i lied and i am ashamed, i hid it from my sister');
+  s.clock.advance(1000);
+  await s.runDueJobs();
+
+  const { status, adjudication } = await admin('GET', `/admin/chains/${id}`);
+  assert.strictEqual(status, 'adjudicated');
+  assert.strictEqual(adjudication.winner, ben);
+  assert.strictEqual(adjudication.loser, ana);
+  for (const p of [ana, ben]) {
+    assert.ok(s.transport.sentTo(p).some(m => m.body.includes(`${mask(ben)} leaned nearest the abyss.`)));
+  }
+});
+
+test('mirrored round: a whisper never opened counts as unanswered once the round closes', async () => {
+  const { id } = await fire('who did you leave out', [ana, ben]);
+  const chain = s.store.getChain(id);
+  assert.strictEqual(chain.mode, 'mirrored');
+  assert.ok(Math.abs(chain.closesAt - (Date.parse(chain.awaitingSince) + 60*60000 + 30000)) < 50);
+  const tokens = Object.fromEntries(s.store.tokensForChain(id).map(t => [t.recipient, t.token]));
+
+  await answerOnPage(tokens[ana], 'my brother, on purpose');
+  s.clock.advance(60*60000);
+  await s.runDueJobs();
+  assert.strictEqual(s.store.getChain(id).status, 'awaiting_answers');
+
+  s.clock.advance(31000);
+  await s.runDueJobs();
+  const done = s.store.getChain(id);
+  assert.strictEqual(done.status, 'adjudicated');
+  assert.strictEqual(done.adjudication.winner, ana);
+});
+
+test('admin: the secret is required, and a chain can be cancelled until it fires', async () => {
+  assert.strictEqual((await fetch(`${h.base}/admin/chains`)).status, 401);
+  const { id } = await admin('POST', '/create', { question: 'what would you undo', participants: [ana], window: { min: 5, max: 5 } });
+  assert.ok((await admin('POST', `/admin/chains/${id}/cancel`)).ok);
+  s.clock.advance(6*60000);
+  await s.runDueJobs();
+  assert.strictEqual((await admin('GET', `/admin/chains/${id}`)).status, 'cancelled');
+  assert.ok((await admin('GET', '/admin/chains?status=cancelled')).some(c => c.id === id));
+});
+
+test('POST /sms: unsigned posts are refused, a replayed MessageSid is handled once', async () => {
+  const params = { From: '+15550001009', To: s.transport.from, Body: 'hello', MessageSid: 'SMonce1' };
+  const post = signature => fetch(`${h.base}/sms`, { method: 'POST', body: new URLSearchParams(params),
+    headers: { 'content-type': 'application/x-www-form-urlencoded', ...(signature ? { 'x-twilio-signature': signature } : {}) } });
+  const warn = console.warn; console.warn = () => {};
+  try {
+    assert.strictEqual((await post()).status, 403);
+    assert.strictEqual((await post(s.transport.sign('https://dread.ap/sms?x=1', params))).status, 403);
+    assert.strictEqual(s.transport.sentTo(params.From).length, 0);
+
+    const signature = s.transport.sign('https://dread.ap/sms', params);
+    assert.strictEqual((await post(signature)).status, 200);
+    assert.strictEqual((await post(signature)).status, 200);
+  } finally { console.warn = warn; }
+  assert.strictEqual(s.transport.sentTo(params.From).length, 1);
+});
+
+test('POST /sms: a failed message is handled again on retry, a handled one is not', async () => {
+  const params = { From: '+15550001010', To: s.transport.from, Body: 'hello', MessageSid: 'SMretry1' };
+  const post = () => fetch(`${h.base}/sms`, { method: 'POST', body: new URLSearchParams(params),
+    headers: { 'content-type': 'application/x-www-form-urlencoded', 'x-twilio-signature': s.transport.sign('https://dread.ap/sms', params) } });
+  const getUser = s.store.getUser;
+  s.store.getUser = () => { throw new Error('disk on fire'); };
+  const quiet = console.error; console.error = () => {};
+  try { assert.strictEqual((await post()).status, 500); }
+  finally { s.store.getUser = getUser; console.error = quiet; }
+
+  assert.strictEqual((await post()).status, 200);
+  await s.runDueJobs();
+  assert.strictEqual(s.transport.sentTo(params.From).length, 1);
+  const warn = console.warn; console.warn = () => {};
+  try { assert.strictEqual((await post()).status, 200); } finally { console.warn = warn; }
+  await s.runDueJobs();
+  assert.strictEqual(s.transport.sentTo(params.From).length, 1);
+});
@@ -0,0 +1,60 @@
+// The schedules admin API over the fake clock: one chain per window with the
+// questions in rotation, pause/resume/delete, and quiet hours holding a whisper.
+const test = require('node:test');
+const assert = require('node:assert');
+const { boot } = require('./harness');
+
+const { s, admin, text } = boot();
+
+const ana = '+15550004001';
+const everyMinute = { cron: '* * * * *', windowMinutes: 0, timezone: 'UTC' };
+const chainsOf = id => s.store.listChains().filter(c => c.scheduleId === id);
+const play = async ms => { s.clock.advance(ms); await s.runDueJobs(); };
+const hhmm = ms => new Date(ms).toISOString().slice(11, 16);
+
+test.before(() => text(ana, 'I CONSENT TO DREAD'));
+
+test('a schedule needs participants, questions and a valid recurrence', async () => {
+  const ok = { participants: [ana], questions: ['q'], recurrence: everyMinute };
+  for (const body of [{}, { ...ok, questions: [] }, { ...ok, participants: 'ana' },
+    { ...ok, recurrence: { between: ['7pm', '9pm'] } }, { ...ok, recurrence: { cron: '0 25 * * *' } },
+    { ...ok, quietHours: { start: '23:00' } }]) {
+    assert.ok((await admin('POST', '/admin/schedules', body)).error, JSON.stringify(body));
+  }
+});
+
+test('one chain per window, questions in rotation, until paused or deleted', async () => {
+  const { schedule } = await admin('POST', '/admin/schedules', { name: 'minutely', participants: [ana], questions: ['first', 'second'], recurrence: everyMinute });
+  assert.ok(schedule.nextRunAt);
+  await play(61000);
+  await play(61000);
+  assert.deepStrictEqual(chainsOf(schedule.id).map(c => c.question), ['first', 'second']);
+
+  const paused = await admin('POST', `/admin/schedules/${schedule.id}/pause`);
+  assert.strictEqual(paused.schedule.nextRunAt, null);
+  await play(120000);
+  assert.strictEqual(chainsOf(schedule.id).length, 2);
+
+  assert.ok((await admin('POST', `/admin/schedules/${schedule.id}/resume`)).schedule.nextRunAt);
+  await play(61000);
+  assert.deepStrictEqual(chainsOf(schedule.id).map(c => c.question), ['first', 'second', 'first']);
+
+  assert.ok((await admin('DELETE', `/admin/schedules/${schedule.id}`)).ok);
+  assert.ok((await admin('GET', `/admin/schedules/${schedule.id}`)).error);
+  await play(120000);
+  assert.strictEqual(chainsOf(schedule.id).length, 3);
+});
+
+test('a whisper due in quiet hours waits for them to end', async () => {
+  const now = s.clock.now();
+  const quietHours = { start: hhmm(now - 3600000), end: hhmm(now + 2*3600000) };
+  const { schedule } = await admin('POST', '/admin/schedules', { participants: [ana], questions: ['later'], recurrence: everyMinute, quietHours });
+  await play(61000);
+  await admin('DELETE', `/admin/schedules/${schedule.id}`);
+  const [chain] = chainsOf(schedule.id);
+  assert.strictEqual(chain.status, 'scheduled');
+  assert.ok(s.store.getChain(chain.id).events.some(e => e.type === 'deferred_quiet_hours'));
+
+  await play(2*3600000);
+  assert.notStrictEqual(s.store.getChain(chain.id).status, 'scheduled');
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { openStore } = require('../store');
+const { createScorer, loadLexicons, detectLanguage } = require('../scorer');
+
+const lexicons = loadLexicons();
+
+test('the classic scorer keeps its English heuristic; the lexicon scorer reads negation', () => {
+  const classic = createScorer('classic').score, lexicon = createScorer('lexicon', { lexicons }).score;
+  assert.strictEqual(classic('i am not ashamed').breakdown.vulnerability, 12);
+  assert.deepStrictEqual(lexicon('i am not ashamed').words, { vulnerable: [], negated: ['ashamed'] });
+  assert.ok(lexicon('i am ashamed and afraid').score > lexicon('i am not ashamed').score);
+  assert.deepStrictEqual(lexicon('').breakdown, {});
+});
+
+test('the lexicon scorer detects the language and explains its score', () => {
+  const { score } = createScorer('lexicon', { lexicons });
+  for (const [text, lang, word] of [["j'ai honte", 'fr', 'honte'], ['ich habe angst', 'de', 'angst'], ['the secret i hid', 'en', 'secret']]) {
+    const r = score(text);
+    assert.strictEqual(r.language, lang, text);
+    assert.ok(r.words.vulnerable.includes(word), text);
+    assert.strictEqual(r.score, Math.round(Object.values(r.breakdown).reduce((a, b) => a + b, 0)), text);
+  }
+  assert.strictEqual(detectLanguage('je ne sais pas', lexicons), 'fr');
+  assert.strictEqual(createScorer('lexicon', { lexicons, language: 'de' }).score('i am ashamed').language, 'de');
+});
+
+// short answers, where a language has one or two words to go on
+const SHORT = [
+  ['no tengo miedo', 'es'],
+  ['tengo miedo', 'es'],
+  ['me da vergüenza', 'es'],
+  ['nunca', 'es'],
+  ['i lied', 'en'],
+  ['not ashamed', 'en'],
+  ['je ne sais pas', 'fr'],
+  ["j'ai honte", 'fr'],
+  ['ich habe angst', 'de'],
+  ['nichts', 'de']
+];
+
+test('detectLanguage reads short answers', () => {
+  for (const [text, lang] of SHORT) assert.strictEqual(detectLanguage(text, lexicons), lang, text);
+});
+
+test('a tie with nothing else to go on leans to the preferred language, then the fallback', () => {
+  assert.strictEqual(detectLanguage('no', lexicons), 'en');
+  assert.strictEqual(detectLanguage('no', lexicons, 'en', 'es'), 'es');
+  assert.strictEqual(detectLanguage('???', lexicons, 'en', 'de'), 'de');
+  assert.strictEqual(detectLanguage('???', lexicons, 'en', 'xx'), 'en');
+});
+
+test('the lexicon scorer negates in the language it detected', () => {
+  const score = createScorer('lexicon', { lexicons }).score;
+  assert.strictEqual(score('no tengo miedo').language, 'es');
+  assert.deepStrictEqual(score('no tengo miedo').words, { vulnerable: [], negated: ['miedo'] });
+  assert.deepStrictEqual(score('tengo miedo').words.vulnerable, ['miedo']);
+  assert.strictEqual(createScorer('lexicon', { lexicons, prefer: 'es' }).score('no').language, 'es');
+});
+
+test('eval scores each round as the server would: its circle\'s scorer and language, whole threads, group rounds too', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dread-eval-'));
+  try {
+    const sqlitePath = path.join(dir, 'dread.sqlite');
+    const store = openStore({ sqlitePath, jsonPath: null });
+    const [ana, ben] = ['+15550012001', '+15550012002'];
+    store.saveCircle({ id: 'wolves', name: 'wolves', settings: { scorer: 'lexicon', language: 'de' } });
+    store.saveChain({ id: 'c1', circleId: 'wolves', mode: 'mirrored', status: 'adjudicated', participants: [ana, ben], recipients: [ana, ben],
+      adjudication: { mode: 'mirrored', winner: ben } });
+    store.appendEvent('c1', { type: 'answer', who: ana, text: 'i am ashamed and afraid' });
+    store.appendEvent('c1', { type: 'answer', who: ben, text: 'ich habe angst' });
+    store.saveChain({ id: 'c2', mode: 'group', status: 'adjudicated', participants: [ana, ben], recipients: [ana, ben],
+      adjudication: { mode: 'group', winner: ana } });
+    store.appendEvent('c2', { type: 'answer', who: ana, text: 'no' });
+    store.appendEvent('c2', { type: 'follow_up', to: ana, turn: 2, prompt: 'and?' });
+    store.appendEvent('c2', { type: 'answer', who: ana, turn: 2, text: 'i am ashamed and afraid' });
+    store.appendEvent('c2', { type: 'answer', who: ben, text: 'i lied' });
+    store.close();
+
+    const { stdout } = spawnSync(process.execPath, [path.join(__dirname, '..', 'scorer.js'), 'eval'],
+      { env: { PATH: process.env.PATH, SQLITE_PATH: sqlitePath }, encoding: 'utf8' });
+    assert.match(stdout, /circle:lexicon \+1555001••02/);
+    const lexicon = createScorer('lexicon', { lexicons, prefer: 'en' }).score;
+    assert.ok(stdout.includes(`lexicon +1555001••01 (${lexicon('no\ni am ashamed and afraid').score}–${lexicon('i lied').score})`));
+    assert.match(stdout, /^2 mirrored and group rounds$/m);
+    assert.match(stdout, /^lexicon: agrees with the recorded winner in 2\/2$/m);
+  } finally { fs.rmSync(dir, { recursive: true, force: true }); }
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openStore } = require('../store');
+
+// a fresh directory with both store files' paths, removed after fn
+function inTmp(fn){
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dread-store-'));
+  try { return fn({ dir, sqlitePath: path.join(dir, 'dread.sqlite'), jsonPath: path.join(dir, 'dread_db.json') }); }
+  finally { fs.rmSync(dir, { recursive: true, force: true }); }
+}
+
+const ana = '+15550002001';
+
+// server.js v1 kept everything in one lowdb document
+const LEGACY = {
+  users: { [ana]: { consented: true, optedOut: false, alias: 'moth', consentAt: '2026-01-01T00:00:00.000Z' } },
+  chains: [{ id: 'chain_a', question: 'what did you hide', participants: [ana], recipients: [ana], mode: 'single',
+    status: 'adjudicated', scheduledAt: 1, createdAt: '2026-01-01T00:00:00.000Z', events: [
+      { type: 'fired', at: '2026-01-01T00:01:00.000Z' },
+      { type: 'answer', who: ana, text: 'the letter', at: '2026-01-01T00:01:20.000Z' }
+    ] }],
+  tokens: { tk1: { token: 'tk1', chainId: 'chain_a', recipient: ana, used: true, respondedText: 'the letter' } },
+  mantle: { holder: ana, alias: 'moth', expiresAt: '2030-01-01T00:00:00.000Z' },
+  phraseCall: null,
+  lastPingAt: {},
+  jobs: [{ id: 'job_1', type: 'fire_chain', key: 'fire:chain_a', payload: { chainId: 'chain_a' }, runAt: 1, status: 'done', attempts: 1 }],
+  inboundSids: { SMold: 1000 }
+};
+
+function assertMigrated(store){
+  assert.strictEqual(store.getUser(ana).alias, 'moth');
+  const chain = store.getChain('chain_a');
+  assert.deepStrictEqual(chain.events.map(e => e.type), ['fired', 'answer']);
+  assert.strictEqual(chain.events[1].text, 'the letter');
+  assert.strictEqual(store.tokensForChain('chain_a')[0].respondedText, 'the letter');
+  assert.strictEqual(store.findJobs({ key: 'fire:chain_a' }).length, 1);
+  assert.ok(store.seenSid('SMold'));
+  assert.strictEqual(store.getMeta('mantle').holder, ana);
+  assert.strictEqual(store.getMeta('phraseCall'), null);
+}
+
+for (const driver of ['sqlite', 'json']) {
+  test(`${driver}: rows round-trip, chains carry their events, a throwing tx leaves nothing`, () => inTmp(files => {
+    let store = openStore({ driver, ...files });
+    store.saveUser({ phone: ana, consented: true, optedOut: false });
+    store.saveChain({ id: 'c1', status: 'awaiting_answers', participants: [ana], events: [{ type: 'ignored' }] });
+    store.appendEvent('c1', { type: 'fired', at: 'a' });
+    store.appendEvent('c1', { type: 'sent', to: ana, at: 'b' });
+    store.saveToken({ token: 'tk1', chainId: 'c1', recipient: ana, used: false });
+    assert.throws(() => store.tx(() => {
+      store.saveUser({ phone: '+15550002002', consented: true });
+      store.appendEvent('c1', { type: 'answer' });
+      throw new Error('halfway');
+    }), /halfway/);
+    store.close();
+
+    store = openStore({ driver, ...files });
+    assert.strictEqual(store.getUser(ana).consented, true);
+    assert.strictEqual(store.getUser('+15550002002'), null);
+    assert.deepStrictEqual(store.getChain('c1').events.map(e => e.type), ['fired', 'sent']);
+    assert.deepStrictEqual(store.listChains({ status: 'awaiting_answers' }).map(c => c.id), ['c1']);
+    assert.strictEqual(store.listChains({ status: 'adjudicated' }).length, 0);
+    assert.strictEqual(store.tokensForRecipient(ana)[0].token, 'tk1');
+    store.close();
+  }));
+}
+
+test('json: a legacy lowdb file is converted in place, with a backup', () => inTmp(files => {
+  fs.writeFileSync(files.jsonPath, JSON.stringify(LEGACY));
+  const store = openStore({ driver: 'json', ...files });
+  assertMigrated(store);
+  store.close();
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(files.jsonPath + '.legacy.bak', 'utf8')), LEGACY);
+  assert.strictEqual(JSON.parse(fs.readFileSync(files.jsonPath, 'utf8')).version, 2);
+}));
+
+test('sqlite: a new database imports the legacy lowdb file once', () => inTmp(files => {
+  fs.writeFileSync(files.jsonPath, JSON.stringify(LEGACY));
+  const log = console.log; console.log = () => {};
+  try {
+    let store = openStore({ driver: 'sqlite', ...files });
+    assertMigrated(store);
+    store.saveUser({ ...store.getUser(ana), alias: 'jackdaw' });
+    store.close();
+    store = openStore({ driver: 'sqlite', ...files });
+    assert.strictEqual(store.getUser(ana).alias, 'jackdaw');
+    store.close();
+  } finally { console.log = log; }
+}));
+
+const KEY = 'a-long-test-key-0123456789';
+// a scored answer: the words and breakdown say as much as the text
+const VERDICT = { who: ana, rank: 1, text: 'i was ashamed', score: 22,
+  breakdown: { length: 2.3, firstPerson: 8, vulnerability: 12 }, words: { vulnerable: ['ashamed'], negated: [] } };
+
+for (const driver of ['sqlite', 'json']) {
+  test(`${driver}: sealed fields round-trip and never reach the file in clear`, () => inTmp(files => {
+    let store = openStore({ driver, ...files, dataKey: KEY });
+    store.saveUser({ phone: ana, consented: true, optedOut: false });
+    store.saveToken({ token: 'tk1', chainId: 'c1', recipient: ana, respondedText: 'my secret answer', used: true });
+    store.saveChain({ id: 'c1', status: 'adjudicated', participants: [ana], adjudication: { mode: 'group', winner: ana, ranking: [VERDICT] } });
+    store.close();
+
+    const raw = fs.readdirSync(files.dir).map(f => fs.readFileSync(path.join(files.dir, f), 'latin1')).join('');
+    for (const clear of [ana, 'my secret answer', 'ashamed', 'firstPerson']) assert.ok(!raw.includes(clear), clear);
+
+    store = openStore({ driver, ...files, dataKey: KEY });
+    assert.strictEqual(store.getUser(ana).consented, true);
+    const [tok] = store.tokensForRecipient(ana);
+    assert.strictEqual(tok.respondedText, 'my secret answer');
+    assert.deepStrictEqual(store.getChain('c1').adjudication.ranking, [VERDICT]);
+    store.close();
+
+    assert.throws(() => openStore({ driver, ...files, dataKey: null }), /set DATA_KEY/);
+    assert.throws(() => openStore({ driver, ...files, dataKey: 'another-key-0123456789' }), /does not match/);
+  }));
+}
+
+test('a plaintext store is sealed in place the first time a key is given', () => inTmp(({ sqlitePath }) => {
+  let store = openStore({ sqlitePath, jsonPath: null });
+  store.saveUser({ phone: ana, consented: true, optedOut: false });
+  store.close();
+  store = openStore({ sqlitePath, jsonPath: null, dataKey: KEY });
+  assert.strictEqual(store.getUser(ana).consented, true);
+  store.close();
+  assert.ok(!fs.readFileSync(sqlitePath, 'latin1').includes(ana));
+}));
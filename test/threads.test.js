@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { boot } = require('./harness');
+
+const h = boot({ FOLLOW_CHANCE: '1', FOLLOW_MAX_TURNS: '1' });
+const { s, admin, text, lastTo, tokenOf, answerOnPage, fire } = h;
+const ana = '+15550014001', ben = '+15550014002';
+
+test('an SMS answer is pressed once, and the verdict carries the whole thread', async () => {
+  await text(ana, 'I CONSENT TO DREAD');
+  const chain = await fire('what did you break?', [ana]);
+  await text(ana, 'a vase');
+  assert.match(lastTo(ana), /reply within 25s\.$/);
+  await text(ana, 'and then i hid it');
+  s.clock.advance(1000); await s.runDueJobs();
+
+  const { status, events, adjudication } = await admin('GET', `/admin/chains/${chain.id}`);
+  assert.strictEqual(status, 'adjudicated');
+  const [first, follow, second] = events.filter(e => ['answer', 'follow_up'].includes(e.type));
+  assert.deepStrictEqual([first.turn, follow.turn, second.turn], [1, 2, 2]);
+  assert.strictEqual(follow.replyTo, first.id);
+  assert.strictEqual(second.replyTo, follow.id);
+  assert.strictEqual(adjudication.answer, 'a vase / and then i hid it');
+  assert.deepStrictEqual(adjudication.turns.map(t => t.text), ['a vase', 'and then i hid it']);
+});
+
+test('a follow-up left unanswered holds the verdict until its deadline, then the first answer stands', async () => {
+  await text(ben, 'I CONSENT TO DREAD');
+  const chain = await fire('who do you avoid?', [ben]);
+  await answerOnPage(tokenOf(ben), 'my brother');
+  const page = await (await fetch(`${h.base}/open/${tokenOf(ben)}`)).text();
+  assert.match(page, /you: my brother/);
+
+  s.clock.advance(1000); await s.runDueJobs();
+  assert.strictEqual((await admin('GET', `/admin/chains/${chain.id}`)).status, 'awaiting_answers');
+  s.clock.advance(25000); await s.runDueJobs();
+  const { status, adjudication } = await admin('GET', `/admin/chains/${chain.id}`);
+  assert.strictEqual(status, 'adjudicated');
+  assert.strictEqual(adjudication.answer, 'my brother');
+});
@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLocalTransport } = require('../transport');
+
+test('webhook signatures verify, and a changed param or url does not', () => {
+  const t = createLocalTransport({ authToken: 'tok', outboxFile: '/dev/null' });
+  const url = 'https://dread.ap/sms';
+  const body = { From: '+15550003001', To: '+10000000000', Body: 'I CONSENT TO DREAD', MessageSid: 'SM1' };
+  const req = b => ({ body: b, headers: { 'x-twilio-signature': t.sign(url, body) } });
+  assert.deepStrictEqual(t.verifyInbound(req(body), url), { ok: true });
+  assert.strictEqual(t.verifyInbound(req({ ...body, Body: 'STOP' }), url).ok, false);
+  assert.strictEqual(t.verifyInbound(req(body), url + '?x=1').ok, false);
+  assert.strictEqual(t.verifyInbound({ body, headers: {} }, url).reason, 'missing signature');
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createVoice, checkLocales } = require('../voice');
+
+const table = obj => new Map(Object.entries(obj));
+
+test('checkLocales flags missing keys and variables the engine never passes', () => {
+  const report = checkLocales({
+    en: table({ 'a.b': 'hello {alias}', 'a.c': ['x', 'y'] }),
+    es: table({ 'a.b': 'hola {name}', 'a.d': 'extra' })
+  }, 'en');
+  assert.strictEqual(report.en.ok, true);
+  assert.strictEqual(report.es.ok, false);
+  assert.deepStrictEqual(report.es.missing, ['a.c']);
+  assert.deepStrictEqual(report.es.extra, ['a.d']);
+  assert.deepStrictEqual(report.es.unknownVars, [{ key: 'a.b', vars: ['name'] }]);
+});
+
+test('checkLocales reports a missing default locale', () => {
+  assert.strictEqual(checkLocales({ es: table({}) }, 'en').en.ok, false);
+});
+
+test('the shipped locales have no gaps', () => {
+  const voice = createVoice({ dir: path.join(__dirname, '..', 'voice'), watch: false });
+  for (const [locale, r] of Object.entries(voice.report())) assert.ok(r.ok, `${locale}: ${JSON.stringify(r)}`);
+});
+
+test('lines fill templates, fall back to the default locale and resolve regional codes', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dread-voice-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'en.json'), JSON.stringify({ hi: 'hi {alias}', only: 'english only' }));
+    fs.writeFileSync(path.join(dir, 'es.json'), JSON.stringify({ hi: 'hola {alias}' }));
+    const voice = createVoice({ dir, watch: false, log: () => {} });
+    assert.strictEqual(voice.line(voice.resolve('es-MX'), 'hi', { alias: 'moth' }), 'hola moth');
+    assert.strictEqual(voice.line('es', 'only'), 'english only');
+    assert.strictEqual(voice.line('es', 'nope'), 'nope');
+    assert.strictEqual(voice.resolve('fr'), 'en');
+
+    fs.writeFileSync(path.join(dir, 'es.json'), '{ broken');
+    voice.reload();
+    assert.strictEqual(voice.line('es', 'hi', { alias: 'moth' }), 'hola moth');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,105 @@
+// transport.js — SMS transports for the Dread engine
+// A transport sends outbound bodies and normalizes inbound webhook posts:
+//   send(to, body, { from, statusCallback }) -> Promise<{ sid }>   from: one of our numbers (default: the main one)
+//   parseInbound(req)   -> { from, to, body, sid }
+//   parseStatus(req)    -> { sid, status, errorCode }  delivery status callback post
+//   verifyInbound(req, url) -> { ok, reason? }  X-Twilio-Signature check for the public url
+//   onInbound(fn)       registers the engine's inbound handler (same path as POST /sms)
+// 'twilio' talks to the real API. 'local' keeps an outbox in memory (and optionally
+// appends it to a file) and can inject inbound messages, for dev and CI. It signs
+// and verifies webhooks with its own token, so signed posts can be tested offline.
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+function parseTwilioForm(req) {
+  const b = req.body || {};
+  return {
+    from: String(b.From || '').trim(),
+    to: String(b.To || '').trim(),
+    body: String(b.Body || '').trim(),
+    sid: b.MessageSid || null
+  };
+}
+
+function parseTwilioStatus(req) {
+  const b = req.body || {};
+  return {
+    sid: b.MessageSid || null,
+    status: String(b.MessageStatus || b.SmsStatus || '').toLowerCase() || null,
+    errorCode: b.ErrorCode || null
+  };
+}
+
+// Twilio's scheme: HMAC-SHA1(authToken, url + each POST param name+value sorted by name), base64
+function twilioSignature(authToken, url, params = {}) {
+  const data = Object.keys(params).sort().reduce((acc, k) => {
+    const v = params[k];
+    return acc + (Array.isArray(v) ? v.slice().sort().map(x => k + x).join('') : k + v);
+  }, url);
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf8')).digest('base64');
+}
+
+function verifyTwilioSignature(authToken, req, url) {
+  const given = String(req.headers['x-twilio-signature'] || '');
+  if (!given) return { ok: false, reason: 'missing signature' };
+  const expected = twilioSignature(authToken, url, req.body || {});
+  const a = Buffer.from(given), b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return { ok: false, reason: 'bad signature' };
+  return { ok: true };
+}
+
+function createTwilioTransport({ accountSid, authToken, from }) {
+  const Twilio = require('twilio');
+  const client = Twilio(accountSid, authToken);
+  return {
+    name: 'twilio',
+    from,
+    send(to, body, { from: sender, statusCallback } = {}) {
+      return client.messages.create({ to, from: sender || from, body, ...(statusCallback ? { statusCallback } : {}) });
+    },
+    parseInbound: parseTwilioForm,
+    parseStatus: parseTwilioStatus,
+    verifyInbound(req, url) { return verifyTwilioSignature(authToken, req, url); },
+    onInbound() {}   // Twilio only reaches us through POST /sms
+  };
+}
+
+function createLocalTransport({ from = '+10000000000', outboxFile = null, now = Date.now, authToken = 'local-dev-token' } = {}) {
+  const outbox = [];
+  let inbound = null;
+  const sid = () => 'SM' + crypto.randomBytes(16).toString('hex');
+  return {
+    name: 'local',
+    from,
+    outbox,
+    async send(to, body, { from: sender } = {}) {
+      const msg = { sid: sid(), to, from: sender || from, body, at: new Date(now()).toISOString() };
+      outbox.push(msg);
+      if (outboxFile) fs.appendFileSync(outboxFile, JSON.stringify(msg) + '\n');
+      else console.log(`[sms → ${to}] ${body.replace(/\n/g, ' / ')}`);
+      return msg;
+    },
+    parseInbound: parseTwilioForm,
+    parseStatus: parseTwilioStatus,
+    verifyInbound(req, url) { return verifyTwilioSignature(authToken, req, url); },
+    // X-Twilio-Signature value for a post of params to url, as Twilio would send it
+    sign(url, params) { return twilioSignature(authToken, url, params); },
+    onInbound(fn) { inbound = fn; },
+    // pretend a phone texted us (at toNumber, default the main number); runs exactly what POST /sms runs
+    inject(fromPhone, body, toNumber = from) {
+      if (!inbound) throw new Error('no inbound handler registered');
+      return inbound({ from: fromPhone, to: toNumber, body: String(body).trim(), sid: sid() });
+    },
+    sentTo(phone) { return outbox.filter(m => m.to === phone); },
+    clear() { outbox.length = 0; }
+  };
+}
+
+function createTransport(kind, opts) {
+  if (kind === 'twilio') return createTwilioTransport(opts);
+  if (kind === 'local') return createLocalTransport(opts);
+  throw new Error(`unknown SMS_TRANSPORT "${kind}" (use twilio or local)`);
+}
+
+module.exports = { createTransport, createTwilioTransport, createLocalTransport, twilioSignature };
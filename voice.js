@@ -0,0 +1,156 @@
+// voice.js — dread's lines, one JSON file per locale (voice/en.json, voice/es.json, …)
+// A file maps keys to a line, or to a list of lines one is picked from at random;
+// objects nest, and a key is its path ("verdict.leaned"). Lines are templates:
+// {alias}, {mask}, {seconds}… are filled from the vars the engine passes, and a
+// "\n" splits an SMS into lines. A key missing from a locale falls back to the
+// default one; a key missing everywhere comes back as the key itself, so a gap
+// shows up in a text instead of throwing.
+// The directory is watched: a saved file is live on the next message. A file
+// that does not parse is reported and its last good version kept.
+//   createVoice({ dir, fallback, watch })  -> { line, resolve, has, name, locales, report, reload, close }
+//   checkLocales(tables, fallback)   per locale: missing keys, extra keys, variables the engine never passes
+// `node voice.js check [dir]` prints that report and exits 1 when any locale has gaps.
+// SMS keywords (STOP, HELP, ASK…) are matched in English whatever the locale, so
+// translations keep them as they are.
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALE_RE = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/;
+const VAR_RE = /\{(\w+)\}/g;
+
+function pick(a) { return a[Math.floor(Math.random() * a.length)]; }
+
+// { "a": { "b": "x" } } -> Map { "a.b" => "x" }; throws on anything but strings and lists of strings
+function flatten(obj, prefix = '', out = new Map()) {
+  for (const [k, v] of Object.entries(obj)) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (typeof v === 'string') out.set(key, v);
+    else if (Array.isArray(v)) {
+      if (!v.length || v.some(x => typeof x !== 'string')) throw new Error(`${key}: a list must hold one or more strings`);
+      out.set(key, v);
+    }
+    else if (v && typeof v === 'object') flatten(v, key, out);
+    else throw new Error(`${key}: expected a string, a list or an object`);
+  }
+  return out;
+}
+
+function varsOf(value) {
+  const out = new Set();
+  for (const s of [].concat(value)) for (const m of s.matchAll(VAR_RE)) out.add(m[1]);
+  return out;
+}
+
+function fill(text, vars) {
+  return text.replace(VAR_RE, (m, k) => vars[k] != null ? String(vars[k]) : m);
+}
+
+// reads every <locale>.json in dir: { tables: { locale: Map }, errors: { locale|file: message } }
+function readLocales(dir) {
+  const tables = {}, errors = {};
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    const locale = path.basename(file, '.json').toLowerCase();
+    if (!LOCALE_RE.test(locale)) { errors[file] = 'not a locale name (en, es, pt-br…)'; continue; }
+    try { tables[locale] = flatten(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))); }
+    catch (e) { errors[locale] = e.message; }
+  }
+  return { tables, errors };
+}
+
+// The default locale defines the keys and, per key, the variables the engine
+// passes (every {name} its lines use). Other locales are measured against it.
+function checkLocales(tables, fallback, errors = {}) {
+  const base = tables[fallback] || new Map();
+  const report = {};
+  for (const locale of [...new Set([...Object.keys(tables), ...Object.keys(errors)])].sort()) {
+    const t = tables[locale] || new Map();
+    const r = { keys: t.size, missing: [], extra: [], unknownVars: [], error: errors[locale] || null };
+    if (locale !== fallback) {
+      for (const k of base.keys()) if (!t.has(k)) r.missing.push(k);
+      for (const [k, v] of t) {
+        if (!base.has(k)) { r.extra.push(k); continue; }
+        const known = varsOf(base.get(k));
+        const unknown = [...varsOf(v)].filter(x => !known.has(x));
+        if (unknown.length) r.unknownVars.push({ key: k, vars: unknown });
+      }
+    }
+    r.ok = !r.error && !r.missing.length && !r.unknownVars.length;
+    report[locale] = r;
+  }
+  if (!report[fallback]) report[fallback] = { keys: 0, missing: [], extra: [], unknownVars: [], error: 'missing', ok: false };
+  return report;
+}
+
+function createVoice({ dir, fallback = 'en', watch = true, log = console.warn }) {
+  let tables = {}, errors = {};
+
+  function reload() {
+    const next = readLocales(dir);
+    for (const [locale, message] of Object.entries(next.errors)) {
+      if (tables[locale]) next.tables[locale] = tables[locale];
+      log(`voice: ${locale}: ${message}${tables[locale] ? ' (keeping the last good version)' : ''}`);
+    }
+    // without the default locale nothing can fall back: keep everything as it was
+    if (!next.tables[fallback]) throw new Error(`voice: no ${fallback}.json in ${dir}`);
+    tables = next.tables; errors = next.errors;
+  }
+  reload();
+
+  let watcher = null, timer = null;
+  if (watch) {
+    // editors save in bursts (write, rename, chmod): settle, then read everything again
+    watcher = fs.watch(dir, () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => { try { reload(); } catch (e) { log(e.message); } }, 100);
+      timer.unref();
+    });
+    watcher.unref();
+  }
+
+  // the closest locale we have: "es-MX" -> es-mx, else es, else the default
+  function resolve(wanted) {
+    const w = String(wanted || '').toLowerCase().replace('_', '-');
+    if (tables[w]) return w;
+    const base = w.split('-')[0];
+    return tables[base] ? base : fallback;
+  }
+
+  function line(locale, key, vars = {}) {
+    const v = (tables[locale] && tables[locale].get(key)) ?? tables[fallback].get(key);
+    if (v == null) return key;
+    return fill(Array.isArray(v) ? pick(v) : v, vars);
+  }
+
+  return {
+    line,
+    resolve,
+    has: locale => !!tables[String(locale || '').toLowerCase()],
+    name: locale => line(resolve(locale), 'locale.name'),
+    locales: () => Object.keys(tables).sort(),
+    report: () => checkLocales(tables, fallback, errors),
+    reload,
+    close() { clearTimeout(timer); if (watcher) watcher.close(); }
+  };
+}
+
+module.exports = { createVoice, checkLocales, readLocales };
+
+if (require.main === module) {
+  const [cmd, dir = process.env.VOICE_DIR || path.join(__dirname, 'voice')] = process.argv.slice(2);
+  if (cmd !== 'check') {
+    console.error('usage: node voice.js check [dir]');
+    process.exit(1);
+  }
+  const fallback = process.env.DEFAULT_LOCALE || 'en';
+  const { tables, errors } = readLocales(dir);
+  const report = checkLocales(tables, fallback, errors);
+  for (const [locale, r] of Object.entries(report)) {
+    console.log(`${locale}${locale === fallback ? ' (default)' : ''}: ${r.ok ? 'ok' : 'GAPS'}, ${r.keys || 0} keys`);
+    if (r.error) console.log(`  error: ${r.error}`);
+    for (const k of r.missing || []) console.log(`  missing  ${k}`);
+    for (const u of r.unknownVars || []) console.log(`  unknown  ${u.key}: {${u.vars.join('}, {')}}`);
+    for (const k of r.extra || []) console.log(`  extra    ${k}`);
+  }
+  process.exit(Object.values(report).every(r => r.ok) ? 0 : 1);
+}